@@ -7,9 +7,12 @@ const routes = require('./routes');
 const requestIdMiddleware = require('./middleware/requestId');
 const { requestContextMiddleware } = require('./utils/asyncContext');
 const requestLogger = require('./middleware/requestLogger');
+const metricsMiddleware = require('./middleware/metrics');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const { cleanupOldScreenshots } = require('./utils/screenshot');
 const { getBrowserPool } = require('./utils/browserPool');
+const OrderJobService = require('./services/order/OrderJobService');
+const { closeRedisClient } = require('./utils/redis');
 
 // Create Express app
 const app = express();
@@ -21,7 +24,7 @@ app.use(helmet());
 app.use(cors({
   origin: config.server.corsOrigin,
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-Id'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-Id', 'Idempotency-Key', 'X-Actor', 'X-Account'],
   credentials: true,
 }));
 
@@ -38,6 +41,9 @@ app.use(requestContextMiddleware);
 // Request logging
 app.use(requestLogger);
 
+// Prometheus HTTP metrics
+app.use(metricsMiddleware);
+
 // Routes
 app.use('/', routes);
 
@@ -72,6 +78,9 @@ const startServer = async () => {
     logger.info('Non-headless mode enabled - Browser pool disabled');
   }
 
+  // Start async order job worker
+  OrderJobService.startWorker();
+
   const server = app.listen(config.server.port, config.server.host, () => {
     logger.info('='.repeat(50));
     logger.info('🚀 Line Shop Runner Service started successfully');
@@ -99,6 +108,13 @@ const startServer = async () => {
     
     server.close(async () => {
       logger.info('HTTP server closed');
+
+      // Let in-flight order jobs finish before closing browsers
+      try {
+        await OrderJobService.stopWorker();
+      } catch (error) {
+        logger.error('Error stopping order job worker:', error);
+      }
       
       // Shutdown browser pool (only if headless mode)
       if (config.puppeteer.headless) {
@@ -112,6 +128,8 @@ const startServer = async () => {
           logger.error('Error shutting down browser pool:', error);
         }
       }
+
+      await closeRedisClient();
       
       logger.info('Graceful shutdown completed');
       process.exit(0);
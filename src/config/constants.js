@@ -4,31 +4,47 @@
  */
 
 module.exports = {
-  // Puppeteer timeouts (milliseconds)
+  // Defaults below marked "env" can be overridden, see config/index.js
+
+  // Puppeteer timeouts (milliseconds, env CRAWLER_TIMEOUT_<KEY>_MS)
   TIMEOUTS: {
-    NAVIGATION: 30000,
-    SELECTOR_WAIT: 5000,
-    SELECTOR_WAIT_SHORT: 3000,
-    SELECTOR_WAIT_LONG: 10000,
-    LOGIN_NAVIGATION: 2000,
-    MODAL_WAIT: 3000,
-    VARIANT_TABLE_WAIT: 3000,
+    SELECTOR_WAIT: 5000, // product search input
+    SELECTOR_WAIT_SHORT: 3000, // default for elementExists()
+    LOGIN_CHECK: 2000, // login form present = not authenticated
+    LOGIN_NAVIGATION: 5000,
+    ORDER_FORM_WAIT: 5000,
+    MODAL_WAIT: 5000,
+    VARIANT_TABLE_WAIT: 5000,
+    ORDER_ITEM_WAIT: 5000,
+    CREDIT_CARD_WAIT: 2000,
+    ZIP_AUTOFILL_WAIT: 3000, // billing prefecture/addr01 filled from the zip code
+    RECALCULATE_WAIT: 5000, // order form recalculation after coupon/points
+    ERROR_ALERT_WAIT: 2000,
+    CONFIRM_BUTTON_WAIT: 3000,
+    CONFIRM_FALLBACK_WAIT: 2000,
+    CONFIRM_NAVIGATION: 5000,
+    SUCCESS_PAGE_WAIT: 5000,
   },
 
-  // Sleep delays (milliseconds)
+  // Sleep delays (milliseconds, env CRAWLER_DELAY_<KEY>_MS)
   DELAYS: {
     AFTER_SCROLL: 300,
     BEFORE_CLICK: 200,
     BEFORE_TYPE: 100,
     TYPING_DELAY: 50,
+    PRODUCT_TYPING_DELAY: 100,
+    CLICK_PRESS: 50,
     BETWEEN_RETRIES: 500,
+    AFTER_ADD_ITEM: 1000, // add-item modal closing
+    AFTER_PAYMENT_METHOD: 500, // credit card dropdown appearing
+    AFTER_DELIVERY_DATE: 500, // time slots reloading for the date
+    AFTER_CONFIRM_CLICK: 1500,
   },
 
-  // Retry configuration
+  // Retry configuration (env CRAWLER_RETRIES_<KEY>; clicks use CRAWLER_MAX_RETRIES)
   RETRIES: {
-    DEFAULT_MAX: 3,
-    CLICK_MAX: 3,
     FILL_INPUT_MAX: 3,
+    CONFIRM_MAX: 3,
   },
 
   // Screenshot configuration
@@ -57,11 +73,20 @@ module.exports = {
     GCS_TEST_TIMEOUT: 3000,
   },
 
-  // Browser pool
+  // Subscription (定期) cycles for form_data.subscription.cycle_type:
+  // deliver every `interval` days, weeks or months
+  SUBSCRIPTION_CYCLE_TYPES: ["daily", "weekly", "monthly"],
+
+  // Browser pool (env BROWSER_POOL_<KEY>, durations with a _MS suffix)
   BROWSER_POOL: {
     MIN_INSTANCES: 1,
     MAX_INSTANCES: 5,
     INSTANCE_TIMEOUT: 1800000, // 30 minutes
     MAX_USAGE_COUNT: 100,
+    WARM_INSTANCES: 2, // launched at startup, idle extras scale back to MIN_INSTANCES
+    IDLE_TIMEOUT: 300000, // 5 minutes
+    MAINTENANCE_INTERVAL: 30000,
+    MAX_MEMORY_MB: 1024, // idle browsers above this are replaced
+    ACQUIRE_TIMEOUT: 60000, // max wait for a free browser
   },
 };
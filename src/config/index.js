@@ -1,12 +1,44 @@
 require("dotenv").config();
 
-module.exports = {
+const { TIMEOUTS, DELAYS, RETRIES, BROWSER_POOL } = require("./constants");
+const { validateConfig } = require("./schema");
+
+// Numeric env override; invalid values are kept so validation can report them
+const envNumber = (name, fallback) => {
+  const raw = process.env[name];
+  return raw === undefined || raw.trim() === "" ? fallback : Number(raw);
+};
+
+// Override every key of a constants group from `<prefix><KEY><suffix>`
+const envNumbers = (defaults, prefix, suffix = "") =>
+  Object.fromEntries(
+    Object.entries(defaults).map(([key, value]) => [
+      key,
+      envNumber(`${prefix}${key}${suffix}`, value),
+    ])
+  );
+
+const config = {
   server: {
     port: parseInt(process.env.APP_PORT, 10) || 4000,
     host: "0.0.0.0",
     env: process.env.APP_ENV || "development",
     corsOrigin: process.env.CORS_ORIGIN || "http://localhost:3000",
     apiKey: process.env.API_KEY,
+    // Admin API keys as comma-separated "name:key" pairs - the name is
+    // recorded as the actor in the circuit breaker audit log
+    adminApiKeys: (process.env.ADMIN_API_KEYS || "")
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .map((entry) => {
+        const separator = entry.indexOf(":");
+        return {
+          name: entry.slice(0, separator).trim(),
+          key: entry.slice(separator + 1).trim(),
+        };
+      })
+      .filter(({ name, key }) => name && key),
     // graceful shutdown timeout (ms)
     shutdownTimeout: parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 300000,
     // request / operation timeout (ms) - used to configure server socket timeout
@@ -41,11 +73,27 @@ module.exports = {
     retryDelayMs: parseInt(process.env.CRAWLER_RETRY_DELAY_MS, 10) || 2000,
     debugging: process.env.CRAWLER_DEBUGGING === "true",
     browserTimeout: parseInt(process.env.BROWSER_TIMEOUT, 10) || 300000,
+    // waits, pauses and retry counts used by the crawlers (see constants.js);
+    // accounts can raise timeouts with options.ec_force_info.timeouts
+    timeouts: envNumbers(TIMEOUTS, "CRAWLER_TIMEOUT_", "_MS"),
+    delays: envNumbers(DELAYS, "CRAWLER_DELAY_", "_MS"),
+    retries: envNumbers(RETRIES, "CRAWLER_RETRIES_"),
+    // extra EC-Force selector/text packs (*.json), e.g. a mounted ConfigMap
+    selectorPacksDir: process.env.EC_FORCE_SELECTOR_PACKS_DIR || null,
   },
 
   circuitBreaker: {
     timeout: parseInt(process.env.CIRCUIT_BREAKER_TIMEOUT_MS, 10) || 300000,
     resetTimeout: parseInt(process.env.CIRCUIT_BREAKER_RESET_MS, 10) || 60000,
+    // Error codes caused by the order itself (bad input, unknown variant),
+    // not by the shop - these never count towards opening a shop's circuit
+    ignoredErrorCodes: (
+      process.env.CIRCUIT_BREAKER_IGNORED_ERROR_CODES ||
+      "VALIDATION_ERROR,INVALID_INPUT,VARIANT_NOT_FOUND,PRODUCT_NOT_FOUND,OUT_OF_STOCK,DISCOUNT_REJECTED,DELIVERY_SCHEDULE_UNAVAILABLE,BROWSER_POOL_EXHAUSTED,REQUEST_ABORTED"
+    )
+      .split(",")
+      .map((code) => code.trim())
+      .filter(Boolean),
   },
 
   gcs: {
@@ -61,8 +109,90 @@ module.exports = {
     db: parseInt(process.env.REDIS_DB, 10) || 0,
   },
 
+  browserPool: {
+    minInstances: envNumber(
+      "BROWSER_POOL_MIN_INSTANCES",
+      BROWSER_POOL.MIN_INSTANCES
+    ),
+    maxInstances: envNumber(
+      "BROWSER_POOL_MAX_INSTANCES",
+      BROWSER_POOL.MAX_INSTANCES
+    ),
+    // launched at startup, idle extras scale back down to minInstances
+    warmInstances: envNumber(
+      "BROWSER_POOL_WARM_INSTANCES",
+      BROWSER_POOL.WARM_INSTANCES
+    ),
+    // browsers older than this or used more than maxUsageCount are retired (ms)
+    instanceTimeout: envNumber(
+      "BROWSER_POOL_INSTANCE_TIMEOUT_MS",
+      BROWSER_POOL.INSTANCE_TIMEOUT
+    ),
+    maxUsageCount: envNumber(
+      "BROWSER_POOL_MAX_USAGE_COUNT",
+      BROWSER_POOL.MAX_USAGE_COUNT
+    ),
+    idleTimeout: envNumber(
+      "BROWSER_POOL_IDLE_TIMEOUT_MS",
+      BROWSER_POOL.IDLE_TIMEOUT
+    ),
+    maintenanceInterval: envNumber(
+      "BROWSER_POOL_MAINTENANCE_INTERVAL_MS",
+      BROWSER_POOL.MAINTENANCE_INTERVAL
+    ),
+    maxMemoryMb: envNumber(
+      "BROWSER_POOL_MAX_MEMORY_MB",
+      BROWSER_POOL.MAX_MEMORY_MB
+    ),
+    // max wait for a free browser before BROWSER_POOL_EXHAUSTED (ms)
+    acquireTimeout: envNumber(
+      "BROWSER_POOL_ACQUIRE_TIMEOUT_MS",
+      BROWSER_POOL.ACQUIRE_TIMEOUT
+    ),
+  },
+
+  crawlerSession: {
+    // reuse admin session cookies between runs (needs CRAWLER_SESSION_SECRET)
+    enabled: process.env.CRAWLER_SESSION_REUSE !== "false",
+    // encryption secret for cookies stored in Redis
+    secret: process.env.CRAWLER_SESSION_SECRET,
+    ttlSeconds: parseInt(process.env.CRAWLER_SESSION_TTL_SECONDS, 10) || 43200,
+  },
+
+  orderStrategy: {
+    // "browser" (Puppeteer crawler) or "api" (admin API, crawler as fallback);
+    // accounts override it with options.ec_force_info.order_strategy
+    default: process.env.ORDER_STRATEGY === "api" ? "api" : "browser",
+  },
+
+  orderPreflight: {
+    // check products and stock via the admin API before launching a browser
+    enabled: process.env.ORDER_PREFLIGHT_CHECK === "true",
+  },
+
+  orderJobs: {
+    // number of async order jobs processed concurrently per pod
+    concurrency: parseInt(process.env.ORDER_JOB_CONCURRENCY, 10) || 2,
+    // how long job status and results are kept (seconds)
+    ttlSeconds: parseInt(process.env.ORDER_JOB_TTL_SECONDS, 10) || 86400,
+    // encryption secret for queued payloads (account credentials) in Redis
+    secret: process.env.ORDER_JOB_SECRET,
+  },
+
+  idempotency: {
+    // how long a completed order response is replayed for the same key (seconds)
+    ttlSeconds: parseInt(process.env.IDEMPOTENCY_TTL_SECONDS, 10) || 86400,
+    // how long an in-progress reservation blocks duplicates (seconds)
+    lockTtlSeconds: parseInt(process.env.IDEMPOTENCY_LOCK_TTL_SECONDS, 10) || 600,
+  },
+
   metrics: {
     enabled: process.env.METRICS_ENABLED !== "false",
     path: process.env.METRICS_PATH || "/metrics",
   },
 };
+
+// Fail fast at startup on invalid tuning values
+validateConfig(config);
+
+module.exports = config;
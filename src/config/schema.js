@@ -0,0 +1,69 @@
+/**
+ * Startup validation of tunable configuration
+ * Env overrides are parsed leniently in config/index.js; this rejects values
+ * that would silently break the pool or the crawler (NaN, negative waits,
+ * min above max...).
+ */
+
+const Joi = require("joi");
+const { TIMEOUTS, DELAYS, RETRIES } = require("./constants");
+
+const positiveMs = Joi.number().integer().min(1);
+const delayMs = Joi.number().integer().min(0);
+
+// Same keys as the constants group, every value matching `schema`
+const group = (defaults, schema) =>
+  Joi.object(
+    Object.fromEntries(Object.keys(defaults).map((key) => [key, schema]))
+  );
+
+const timeoutsSchema = group(TIMEOUTS, positiveMs);
+const delaysSchema = group(DELAYS, delayMs);
+
+const configSchema = Joi.object({
+  crawler: Joi.object({
+    maxRetries: Joi.number().integer().min(1),
+    retryDelayMs: delayMs,
+    timeouts: timeoutsSchema.required(),
+    delays: delaysSchema.required(),
+    retries: group(RETRIES, Joi.number().integer().min(1)).required(),
+  }).unknown(true),
+
+  browserPool: Joi.object({
+    minInstances: Joi.number().integer().min(0).required(),
+    maxInstances: Joi.number()
+      .integer()
+      .min(1)
+      .min(Joi.ref("minInstances"))
+      .required(),
+    warmInstances: Joi.number().integer().min(0).required(),
+    instanceTimeout: positiveMs.required(),
+    maxUsageCount: Joi.number().integer().min(1).required(),
+    idleTimeout: positiveMs.required(),
+    maintenanceInterval: Joi.number().integer().min(1000).required(),
+    maxMemoryMb: Joi.number().integer().min(64).required(),
+    acquireTimeout: positiveMs.required(),
+  }),
+}).unknown(true);
+
+/**
+ * Validate the assembled config
+ * @param {Object} config
+ * @throws {Error} Listing every invalid setting
+ */
+function validateConfig(config) {
+  const { error } = configSchema.validate(config, { abortEarly: false });
+  if (error) {
+    throw new Error(
+      `Invalid configuration:\n- ${error.details
+        .map((d) => d.message)
+        .join("\n- ")}`
+    );
+  }
+}
+
+module.exports = {
+  validateConfig,
+  timeoutsSchema,
+  delaysSchema,
+};
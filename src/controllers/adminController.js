@@ -0,0 +1,139 @@
+const logger = require("../utils/logger");
+const {
+  findCircuitBreaker,
+  loadShopCircuitBreakers,
+  getAllStatuses,
+} = require("../utils/circuitBreaker");
+const { CrawlerError, ErrorCodes } = require("../middleware/errorHandler");
+
+// Circuit state keys expire after an hour, so a longer manual open would not hold
+const MAX_OPEN_DURATION_MS = 3600000;
+
+/**
+ * Admin controller for runtime operations (circuit breakers)
+ */
+class AdminController {
+  /**
+   * List all circuit breakers, including shop breakers only known to other pods
+   * GET /api/admin/circuits
+   */
+  static async listCircuits(req, res) {
+    await loadShopCircuitBreakers();
+    const circuits = await getAllStatuses();
+
+    res.json({
+      success: true,
+      data: circuits,
+      meta: { request_id: req.id },
+    });
+  }
+
+  /**
+   * Close a circuit and reset its counters (e.g. EC-Force recovered early)
+   * POST /api/admin/circuits/:name/reset
+   *
+   * Request body:
+   * - reason: Optional free-text reason, recorded in the audit log
+   */
+  static async resetCircuit(req, res) {
+    const circuitBreaker = await AdminController._getCircuit(req.params.name);
+    const previous = await circuitBreaker.getStatus();
+
+    await circuitBreaker.forceClose();
+
+    const status = await circuitBreaker.getStatus();
+    AdminController._audit(req, "reset", previous, status);
+
+    res.json({
+      success: true,
+      data: status,
+      meta: { request_id: req.id },
+    });
+  }
+
+  /**
+   * Open a circuit to stop traffic (e.g. EC-Force maintenance window)
+   * POST /api/admin/circuits/:name/open
+   *
+   * Request body:
+   * - duration_ms: Optional time to stay open (defaults to the breaker's reset timeout, max 1h)
+   * - reason: Optional free-text reason, recorded in the audit log
+   */
+  static async openCircuit(req, res) {
+    const { duration_ms: durationMs } = req.body || {};
+
+    if (
+      durationMs !== undefined &&
+      (!Number.isInteger(durationMs) ||
+        durationMs <= 0 ||
+        durationMs > MAX_OPEN_DURATION_MS)
+    ) {
+      throw new CrawlerError(
+        `duration_ms must be an integer between 1 and ${MAX_OPEN_DURATION_MS}`,
+        ErrorCodes.VALIDATION_ERROR,
+        400
+      );
+    }
+
+    const circuitBreaker = await AdminController._getCircuit(req.params.name);
+    const previous = await circuitBreaker.getStatus();
+
+    await circuitBreaker.open(durationMs);
+
+    const status = await circuitBreaker.getStatus();
+    AdminController._audit(req, "open", previous, status);
+
+    res.json({
+      success: true,
+      data: status,
+      meta: { request_id: req.id },
+    });
+  }
+
+  /**
+   * Look up an existing breaker - shops only known to other pods are
+   * registered from Redis first, but unknown names are never created
+   * @private
+   */
+  static async _getCircuit(name) {
+    let circuitBreaker = findCircuitBreaker(name);
+
+    if (!circuitBreaker) {
+      await loadShopCircuitBreakers();
+      circuitBreaker = findCircuitBreaker(name);
+    }
+
+    if (!circuitBreaker) {
+      throw new CrawlerError(
+        `Circuit breaker not found: ${name}`,
+        ErrorCodes.CIRCUIT_NOT_FOUND,
+        404
+      );
+    }
+
+    return circuitBreaker;
+  }
+
+  /**
+   * Record who changed which circuit, and how
+   * The actor is the admin authenticated by their admin key
+   * @private
+   */
+  static _audit(req, action, previous, current) {
+    logger.warn(`Circuit breaker ${action} via admin API: ${current.name}`, {
+      audit: true,
+      action,
+      circuit: current.name,
+      service: current.service,
+      fromState: previous.state,
+      toState: current.state,
+      nextAttempt: current.nextAttempt,
+      actor: req.admin,
+      reason: req.body?.reason || null,
+      ip: req.ip,
+      requestId: req.id,
+    });
+  }
+}
+
+module.exports = AdminController;
@@ -0,0 +1,42 @@
+const CustomerLookupService = require(
+  "../services/customer/CustomerLookupService"
+);
+const { parseLookupFilters } = require("../utils/queryParams");
+
+const STRING_FILTERS = ["email", "tel", "line_uid", "number"];
+
+/**
+ * Customer controller for EC-Force customer lookups
+ */
+class CustomerController {
+  /**
+   * Search EC-Force customers
+   * GET /api/customers
+   *
+   * Query parameters:
+   * - email, tel, line_uid, number: Exact-match filters
+   * - page, per_page: Pagination (per_page max 100)
+   * - q[...]: Other EC-Force search conditions, passed through
+   *
+   * The account comes from accountMiddleware (X-Account header).
+   */
+  static async searchCustomers(req, res) {
+    const startTime = Date.now();
+    const filters = parseLookupFilters(req.query, STRING_FILTERS);
+
+    const { customers, pagination } =
+      await CustomerLookupService.searchCustomers(req.account, filters);
+
+    res.json({
+      success: true,
+      data: customers,
+      meta: {
+        pagination,
+        execution_time_ms: Date.now() - startTime,
+        request_id: req.id,
+      },
+    });
+  }
+}
+
+module.exports = CustomerController;
@@ -76,7 +76,7 @@ class HealthController {
     }
 
     // Circuit breaker status
-    checks.checks.circuitBreakers = getAllStatuses();
+    checks.checks.circuitBreakers = await getAllStatuses();
 
     // Browser pool status
     try {
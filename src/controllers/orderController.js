@@ -1,8 +1,13 @@
-const EcForceOrderCrawler = require("../services/crawler/EcForceOrderCrawler");
 const logger = require("../utils/logger");
-const OrderNotificationService = require("../services/order/OrderNotificationService");
-const OrderLoggerService = require("../services/order/OrderLoggerService");
+const OrderCreationService = require("../services/order/OrderCreationService");
+const OrderJobService = require("../services/order/OrderJobService");
+const OrderIdempotencyService = require(
+  "../services/order/OrderIdempotencyService"
+);
+const OrderLookupService = require("../services/order/OrderLookupService");
+const { resolvePlatform } = require("../services/crawler/registry");
 const { CrawlerError, ErrorCodes } = require("../middleware/errorHandler");
+const { parseId } = require("../utils/queryParams");
 
 /**
  * Order controller for handling order creation requests
@@ -16,22 +21,21 @@ class OrderController {
    * - account: Account object or JSON string
    * - customer: Customer object or JSON string
    * - form_data: Order form data object
+   * - async: When true (or ?async=true), enqueue the order and return 202 with a job id
+   * - dry_run: When true (or ?dry_run=true), stop at the confirmation page and return a price preview
+   *
+   * An `Idempotency-Key` header (or form_data.idempotency_key) makes retries safe:
+   * a repeat returns the original response, a concurrent duplicate gets 409.
    */
   static async createOrder(req, res, next) {
-    // Extract request-scoped values outside try so catch can access them
     const {
       account: rawAccount,
       customer: rawCustomer,
-      form_data: rawFormData,
+      form_data: formData,
     } = req.body || {};
     const requestId = req.id;
     logger.info("Order creation request received", { requestId });
 
-    let crawler = null;
-    let parsedAccount;
-    let parsedCustomer;
-    const formData = rawFormData;
-
     try {
       if (!rawAccount) {
         throw new CrawlerError(
@@ -58,99 +62,248 @@ class OrderController {
       }
 
       // Parse JSON strings if needed
-      parsedAccount = OrderController._parseJSON(rawAccount, "account");
-      parsedCustomer = OrderController._parseJSON(rawCustomer, "customer");
-
-      // Create crawler instance
-      crawler = new EcForceOrderCrawler({
-        account: parsedAccount,
-        customer: parsedCustomer,
-        formData,
-      });
-
-      // Execute crawler (await the async execution so controller can catch rejections)
-      const result = await crawler.execute();
-
-      logger.info("Order created successfully", {
-        requestId,
-        orderId: result.data?.order_id,
-        orderNumber: result.data?.order_number,
-        executionTime: result.executionTime,
-      });
-
-      // Fetch EC-Force order detail and log structured params (non-blocking)
-      try {
-        OrderLoggerService.logOrderParams(
-          parsedAccount,
-          parsedCustomer,
-          result.data?.order_id
-        ).catch((err) =>
-          logger.error(`Failed to log EC-Force order params: ${err.message}`)
+      const account = OrderController._parseJSON(rawAccount, "account");
+      const customer = OrderController._parseJSON(rawCustomer, "customer");
+
+      // Reject unknown platforms and bad credentials before queueing a job
+      const { Crawler } = resolvePlatform(account);
+
+      const dryRun = OrderController._isDryRun(req);
+
+      // Replay or reject duplicates before launching a browser.
+      // Previews place no order, so they skip idempotency entirely.
+      const idempotencyKey = dryRun ? null : req.idempotencyKey;
+      let idempotencyScope;
+      let fingerprint;
+      if (idempotencyKey) {
+        idempotencyScope = OrderIdempotencyService.scope(Crawler, account);
+        fingerprint = OrderIdempotencyService.fingerprint(customer, formData);
+        const existing = await OrderIdempotencyService.reserve(
+          idempotencyScope,
+          idempotencyKey,
+          fingerprint
         );
-      } catch (err) {
-        logger.error(`Error scheduling EC-Force order log: ${err.message}`);
+        if (existing) {
+          OrderController._replayIdempotent(
+            res,
+            idempotencyKey,
+            existing,
+            fingerprint
+          );
+          return;
+        }
       }
 
-      // Send success notification (non-blocking)
+      let statusCode;
+      let body;
       try {
-        OrderNotificationService.sendOrderSuccessNotification(
-          result.data,
-          parsedAccount,
-          parsedCustomer
-        ).catch((err) =>
-          logger.error(`Failed to send success notification: ${err.message}`)
-        );
-      } catch (err) {
-        logger.error(`Error scheduling success notification: ${err.message}`);
-      }
+        if (OrderController._isAsyncRequest(req)) {
+          const job = await OrderJobService.enqueue({
+            account,
+            customer,
+            formData,
+            requestId,
+            dryRun,
+          });
 
-      // Return success response
-      res.json({
-        success: true,
-        data: result.data,
-        meta: {
-          execution_time_ms: result.executionTime,
-          request_id: requestId,
-        },
-      });
-    } catch (error) {
-      logger.error(`Order creation failed: ${error.message}`);
+          statusCode = 202;
+          body = {
+            success: true,
+            data: {
+              job_id: job.id,
+              status: job.status,
+            },
+            meta: {
+              request_id: requestId,
+              status_url: `/api/orders/jobs/${job.id}`,
+            },
+          };
+        } else {
+          const result = await OrderCreationService.createOrder({
+            account,
+            customer,
+            formData,
+            requestId,
+            dryRun,
+            signal: OrderController._disconnectSignal(req, res),
+          });
 
-      // Send failure notification to customer (non-blocking)
-      try {
-        if (parsedAccount && parsedCustomer) {
-          await OrderNotificationService.sendOrderFailureNotification(
-            parsedAccount,
-            parsedCustomer,
-            {
-              product: formData?.product,
-              shopUrl: parsedAccount.options?.ec_force_info?.shop_url,
-            }
-          );
+          statusCode = 200;
+          body = {
+            success: true,
+            data: result.data,
+            meta: {
+              execution_time_ms: result.executionTime,
+              strategy: result.strategy,
+              request_id: requestId,
+            },
+          };
         }
-      } catch (notifyErr) {
-        logger.error(
-          `Failed to send failure notification from controller: ${notifyErr.message}`
+      } catch (error) {
+        if (idempotencyKey) {
+          // Keep the failure if the order may already exist in EC-Force,
+          // otherwise release the key so the caller can retry
+          if (error.orderMayExist) {
+            await OrderIdempotencyService.complete(
+              idempotencyScope,
+              idempotencyKey,
+              fingerprint,
+              error.statusCode || 500,
+              {
+                success: false,
+                error: {
+                  code: error.code || ErrorCodes.INTERNAL_ERROR,
+                  message: error.message,
+                  details: error.details,
+                },
+              }
+            );
+          } else {
+            await OrderIdempotencyService.release(
+              idempotencyScope,
+              idempotencyKey
+            );
+          }
+        }
+        throw error;
+      }
+
+      if (idempotencyKey) {
+        await OrderIdempotencyService.complete(
+          idempotencyScope,
+          idempotencyKey,
+          fingerprint,
+          statusCode,
+          body
         );
       }
 
+      if (statusCode === 202) res.location(body.meta.status_url);
+      res.status(statusCode).json(body);
+    } catch (error) {
       // Pass error to error handler middleware
       next(error);
-    } finally {
-      // Ensure browser is closed
-      if (crawler) {
-        try {
-          await crawler.closeBrowser();
-        } catch (cleanupError) {
-          logger.error("Failed to cleanup crawler", {
-            requestId,
-            error: cleanupError.message,
-          });
-        }
-      }
     }
   }
 
+  /**
+   * Get async order job status
+   * GET /api/orders/jobs/:id
+   *
+   * Once the job has succeeded, `data`/`meta` match the synchronous create response.
+   */
+  static async getOrderJob(req, res) {
+    const job = await OrderJobService.getJob(req.params.id);
+
+    if (!job) {
+      throw new CrawlerError(
+        `Order job not found: ${req.params.id}`,
+        ErrorCodes.JOB_NOT_FOUND,
+        404
+      );
+    }
+
+    res.json({
+      success: true,
+      job: {
+        id: job.id,
+        status: job.status,
+        created_at: job.created_at,
+        started_at: job.started_at,
+        finished_at: job.finished_at,
+        error: job.error,
+      },
+      data: job.data,
+      meta: job.meta || { request_id: job.request_id },
+    });
+  }
+
+  /**
+   * Look up an EC-Force order through the admin API
+   * GET /api/orders/:orderId
+   *
+   * The account comes from accountMiddleware (X-Account header).
+   */
+  static async getOrder(req, res) {
+    const orderId = parseId(req.params.orderId, "orderId");
+    const startTime = Date.now();
+
+    const order = await OrderLookupService.getOrder(req.account, orderId);
+
+    res.json({
+      success: true,
+      data: order,
+      meta: {
+        execution_time_ms: Date.now() - startTime,
+        request_id: req.id,
+      },
+    });
+  }
+
+  /**
+   * Respond to a request whose idempotency key was already used
+   * @private
+   */
+  static _replayIdempotent(res, key, record, fingerprint) {
+    if (record.fingerprint !== fingerprint) {
+      throw new CrawlerError(
+        "Idempotency-Key was already used for a different order",
+        ErrorCodes.IDEMPOTENCY_KEY_MISMATCH,
+        422,
+        { idempotencyKey: key }
+      );
+    }
+
+    if (record.status !== OrderIdempotencyService.RECORD_STATUS.COMPLETED) {
+      throw new CrawlerError(
+        "An order with this Idempotency-Key is already being processed",
+        ErrorCodes.IDEMPOTENCY_KEY_IN_USE,
+        409,
+        { idempotencyKey: key }
+      );
+    }
+
+    logger.info(`Replaying idempotent response - key: ${key}`);
+    res.set("Idempotent-Replayed", "true");
+    if (record.status_code === 202) res.location(record.body.meta.status_url);
+    res.status(record.status_code).json(record.body);
+  }
+
+  /**
+   * Signal aborted when the client disconnects before the response is sent
+   * @private
+   */
+  static _disconnectSignal(req, res) {
+    const controller = new AbortController();
+    res.on("close", () => {
+      if (!res.writableFinished) {
+        logger.warn("Client disconnected before the order response", {
+          requestId: req.id,
+        });
+        controller.abort();
+      }
+    });
+    return controller.signal;
+  }
+
+  /**
+   * Whether the caller asked for async (job) mode
+   * @private
+   */
+  static _isAsyncRequest(req) {
+    const flag = req.body?.async ?? req.query.async;
+    return flag === true || flag === "true";
+  }
+
+  /**
+   * Whether the caller asked for a preview without placing the order
+   * @private
+   */
+  static _isDryRun(req) {
+    const flag = req.body?.dry_run ?? req.query.dry_run;
+    return flag === true || flag === "true";
+  }
+
   /**
    * Parse JSON string or return object as-is
    * @private
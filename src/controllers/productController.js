@@ -0,0 +1,88 @@
+const ProductLookupService = require(
+  "../services/product/ProductLookupService"
+);
+const { parseLookupFilters, parseId } = require("../utils/queryParams");
+
+const STRING_FILTERS = ["name", "number"];
+
+/**
+ * Product controller for EC-Force catalog and stock lookups
+ * The account comes from accountMiddleware (X-Account header).
+ */
+class ProductController {
+  /**
+   * Search EC-Force products
+   * GET /api/products
+   *
+   * Query parameters:
+   * - name: Partial match on product name
+   * - number: Exact product number
+   * - page, per_page: Pagination (per_page max 100)
+   * - q[...]: Other EC-Force search conditions, passed through
+   */
+  static async listProducts(req, res) {
+    const startTime = Date.now();
+    const filters = parseLookupFilters(req.query, STRING_FILTERS);
+
+    const { products, pagination } = await ProductLookupService.listProducts(
+      req.account,
+      filters
+    );
+
+    res.json({
+      success: true,
+      data: products,
+      meta: {
+        pagination,
+        execution_time_ms: Date.now() - startTime,
+        request_id: req.id,
+      },
+    });
+  }
+
+  /**
+   * Get a product with its variants, price and stock
+   * GET /api/products/:id
+   */
+  static async getProduct(req, res) {
+    const startTime = Date.now();
+
+    const product = await ProductLookupService.getProduct(
+      req.account,
+      parseId(req.params.id, "id")
+    );
+
+    res.json({
+      success: true,
+      data: product,
+      meta: {
+        execution_time_ms: Date.now() - startTime,
+        request_id: req.id,
+      },
+    });
+  }
+
+  /**
+   * Get live stock availability per variant
+   * GET /api/products/:id/stock
+   */
+  static async getProductStock(req, res) {
+    const startTime = Date.now();
+
+    const stock = await ProductLookupService.getProductStock(
+      req.account,
+      parseId(req.params.id, "id")
+    );
+
+    res.json({
+      success: true,
+      data: stock,
+      meta: {
+        execution_time_ms: Date.now() - startTime,
+        request_id: req.id,
+      },
+    });
+  }
+}
+
+module.exports = ProductController;
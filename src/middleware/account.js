@@ -0,0 +1,68 @@
+const { CrawlerError, ErrorCodes } = require('./errorHandler');
+
+/**
+ * Parse an account from a JSON string (optionally base64-encoded) or object
+ */
+const parseAccount = (raw) => {
+  if (typeof raw === 'object' && raw !== null) return raw;
+
+  const text = String(raw).trim();
+  const json = text.startsWith('{')
+    ? text
+    : Buffer.from(text, 'base64').toString('utf8');
+
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    throw new CrawlerError(
+      'Invalid JSON in field: account',
+      ErrorCodes.VALIDATION_ERROR,
+      400,
+      { parseError: error.message }
+    );
+  }
+};
+
+/**
+ * EC-Force account middleware for read-only admin API routes
+ * Takes the account from the X-Account header (JSON or base64 JSON) or
+ * body.account, checks its EC-Force credentials and sets req.account.
+ * A header is used because GET requests have no body, and query strings
+ * would leak credentials into access logs.
+ */
+const accountMiddleware = (req, res, next) => {
+  try {
+    const raw = req.get('x-account') || req.body?.account;
+    if (!raw) {
+      throw new CrawlerError(
+        'Missing required account: send it in the X-Account header',
+        ErrorCodes.VALIDATION_ERROR,
+        400
+      );
+    }
+
+    const account = parseAccount(raw);
+    const ecForceInfo = account?.options?.ec_force_info;
+    const missing = ['shop_url', 'email', 'password'].filter(
+      (field) => !ecForceInfo?.[field]
+    );
+
+    if (missing.length > 0) {
+      throw new CrawlerError(
+        'Invalid account: missing EC-Force settings',
+        ErrorCodes.VALIDATION_ERROR,
+        400,
+        {
+          missing: missing.map((field) => `options.ec_force_info.${field}`),
+        }
+      );
+    }
+
+    req.account = account;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = accountMiddleware;
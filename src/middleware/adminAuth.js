@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+/**
+ * Find the admin whose key matches, comparing in constant time
+ * @param {string} apiKey - Key sent by the caller
+ * @returns {string|null} Admin name
+ */
+const findAdmin = (apiKey) => {
+  const provided = digest(apiKey);
+  const match = config.server.adminApiKeys.find(({ key }) =>
+    crypto.timingSafeEqual(provided, digest(key))
+  );
+  return match ? match.name : null;
+};
+
+/**
+ * Admin API key authentication middleware
+ * Admin routes change shared runtime state, so they take their own per-person
+ * keys (X-Admin-Key header) instead of the API key order callers use.
+ * Sets req.admin to the authenticated admin's name.
+ */
+const adminAuthMiddleware = (req, res, next) => {
+  // No development bypass: without keys the admin API is simply unavailable
+  if (config.server.adminApiKeys.length === 0) {
+    logger.error('ADMIN_API_KEYS not configured - admin API disabled');
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'CONFIG_ERROR',
+        message: 'Server configuration error',
+      },
+    });
+  }
+
+  const apiKey = req.headers['x-admin-key'];
+
+  if (!apiKey) {
+    logger.warn(`Admin authentication failed - no admin key provided - IP: ${req.ip}`);
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: 'UNAUTHORIZED',
+        message: 'Admin key required. Provide in X-Admin-Key header',
+      },
+    });
+  }
+
+  const admin = findAdmin(apiKey);
+
+  if (!admin) {
+    logger.warn(`Admin authentication failed - invalid admin key - IP: ${req.ip}`);
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: 'UNAUTHORIZED',
+        message: 'Invalid admin key',
+      },
+    });
+  }
+
+  req.admin = admin;
+  logger.debug(`Admin authentication successful: ${admin}`);
+  next();
+};
+
+module.exports = adminAuthMiddleware;
@@ -21,6 +21,7 @@ const ErrorCodes = {
   // Browser errors
   BROWSER_INIT_FAILED: 'BROWSER_INIT_FAILED',
   BROWSER_NAVIGATION_FAILED: 'BROWSER_NAVIGATION_FAILED',
+  BROWSER_POOL_EXHAUSTED: 'BROWSER_POOL_EXHAUSTED',
   
   // Element errors
   ELEMENT_NOT_FOUND: 'ELEMENT_NOT_FOUND',
@@ -34,10 +35,20 @@ const ErrorCodes = {
   ORDER_CREATION_FAILED: 'ORDER_CREATION_FAILED',
   ORDER_SUBMISSION_FAILED: 'ORDER_SUBMISSION_FAILED',
   ORDER_VALIDATION_FAILED: 'ORDER_VALIDATION_FAILED',
+  VARIANT_NOT_FOUND: 'VARIANT_NOT_FOUND',
+  ORDER_NOT_FOUND: 'ORDER_NOT_FOUND',
+  ORDER_API_UNSUPPORTED: 'ORDER_API_UNSUPPORTED',
+  DISCOUNT_REJECTED: 'DISCOUNT_REJECTED',
+  DELIVERY_SCHEDULE_UNAVAILABLE: 'DELIVERY_SCHEDULE_UNAVAILABLE',
+  
+  // Product errors
+  PRODUCT_NOT_FOUND: 'PRODUCT_NOT_FOUND',
+  OUT_OF_STOCK: 'OUT_OF_STOCK',
   
   // Validation errors
   VALIDATION_ERROR: 'VALIDATION_ERROR',
   INVALID_INPUT: 'INVALID_INPUT',
+  UNSUPPORTED_PLATFORM: 'UNSUPPORTED_PLATFORM',
   
   // Timeout errors
   TIMEOUT_ERROR: 'TIMEOUT_ERROR',
@@ -47,9 +58,24 @@ const ErrorCodes = {
   // Circuit breaker errors
   CRAWLER_CIRCUIT_OPEN: 'CRAWLER_CIRCUIT_OPEN',
   CRAWLER_CIRCUIT_TIMEOUT: 'CRAWLER_CIRCUIT_TIMEOUT',
+  CIRCUIT_NOT_FOUND: 'CIRCUIT_NOT_FOUND',
+  
+  // EC-Force admin API errors
+  ECFORCE_API_ERROR: 'ECFORCE_API_ERROR',
+  ECFORCE_RATE_LIMITED: 'ECFORCE_RATE_LIMITED',
+  
+  // Idempotency errors
+  IDEMPOTENCY_KEY_IN_USE: 'IDEMPOTENCY_KEY_IN_USE',
+  IDEMPOTENCY_KEY_MISMATCH: 'IDEMPOTENCY_KEY_MISMATCH',
+  
+  // Order job errors
+  JOB_NOT_FOUND: 'JOB_NOT_FOUND',
+  JOB_ENQUEUE_FAILED: 'JOB_ENQUEUE_FAILED',
+  JOB_INTERRUPTED: 'JOB_INTERRUPTED',
   
   // General errors
   INTERNAL_ERROR: 'INTERNAL_ERROR',
+  REQUEST_ABORTED: 'REQUEST_ABORTED',
   UNKNOWN_ERROR: 'UNKNOWN_ERROR',
 };
 
@@ -0,0 +1,32 @@
+const config = require('../config');
+const { recordHttpRequest, startHttpRequest } = require('../utils/metrics');
+
+// Express route pattern, or one shared label for unmatched paths, so label
+// cardinality stays bounded whatever URLs clients send
+const routeLabel = (req) =>
+  req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+
+/**
+ * HTTP metrics middleware
+ * Records request duration/count per matched route and tracks in-flight requests
+ */
+const metricsMiddleware = (req, res, next) => {
+  if (!config.metrics.enabled || req.path === config.metrics.path) {
+    return next();
+  }
+
+  const start = process.hrtime.bigint();
+  const endInProgress = startHttpRequest(req.method);
+
+  // 'close' also fires when the client disconnects before a response is sent
+  res.once('close', endInProgress);
+
+  res.on('finish', () => {
+    const duration = Number(process.hrtime.bigint() - start) / 1e9;
+    recordHttpRequest(req.method, routeLabel(req), res.statusCode, duration);
+  });
+
+  next();
+};
+
+module.exports = metricsMiddleware;
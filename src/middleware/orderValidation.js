@@ -1,5 +1,21 @@
 const { CrawlerError, ErrorCodes } = require("./errorHandler");
 const logger = require("../utils/logger");
+const { SUBSCRIPTION_CYCLE_TYPES } = require("../config/constants");
+
+// Fields every billing/shipping address needs (prefecture and addr01 can
+// come from EC-Force's zip code lookup)
+const ADDRESS_REQUIRED_FIELDS = [
+  "name01",
+  "name02",
+  "kana01",
+  "kana02",
+  "zip01",
+  "zip02",
+  "addr02",
+  "tel01",
+  "tel02",
+  "tel03",
+];
 
 /**
  * Validation middleware for order creation requests
@@ -26,6 +42,16 @@ class OrderValidation {
       errors.push("customer must be a string or object");
     }
 
+    // Validate idempotency key (header or form_data)
+    const idempotencyKey = OrderValidation.readIdempotencyKey(req);
+    if (idempotencyKey !== undefined) {
+      if (typeof idempotencyKey !== "string" || !idempotencyKey.trim()) {
+        errors.push("idempotency key must be a non-empty string");
+      } else if (idempotencyKey.length > 255) {
+        errors.push("idempotency key must be at most 255 characters");
+      }
+    }
+
     // Validate form_data
     if (!form_data) {
       errors.push("form_data is required");
@@ -37,39 +63,89 @@ class OrderValidation {
         errors.push("form_data.customer_id is required");
       }
 
-      if (!form_data.product) {
-        errors.push("form_data.product is required");
-      } else if (!form_data.product.name) {
-        errors.push("form_data.product.name is required");
+      // Either a list of line items or a single product
+      if (form_data.products !== undefined) {
+        if (
+          !Array.isArray(form_data.products) ||
+          form_data.products.length === 0
+        ) {
+          errors.push("form_data.products must be a non-empty array");
+        } else {
+          form_data.products.forEach((product, index) =>
+            OrderValidation._validateLineItem(
+              product,
+              `form_data.products[${index}]`,
+              errors
+            )
+          );
+        }
+      } else if (!form_data.product) {
+        errors.push("form_data.product or form_data.products is required");
+      } else {
+        OrderValidation._validateLineItem(
+          form_data.product,
+          "form_data.product",
+          errors
+        );
       }
 
-      if (!form_data.shipping_address_id) {
-        errors.push("form_data.shipping_address_id is required");
+      // An existing address id, or a new address entered on the order form
+      if (form_data.shipping_address !== undefined) {
+        if (form_data.shipping_address_id) {
+          errors.push(
+            "form_data.shipping_address_id and form_data.shipping_address cannot be combined"
+          );
+        }
+        OrderValidation._validateAddress(
+          form_data.shipping_address,
+          "shipping_address",
+          errors
+        );
+      } else if (!form_data.shipping_address_id) {
+        errors.push(
+          "form_data.shipping_address_id or form_data.shipping_address is required"
+        );
+      }
+
+      if (
+        form_data.coupon_code !== undefined &&
+        (typeof form_data.coupon_code !== "string" || !form_data.coupon_code)
+      ) {
+        errors.push("form_data.coupon_code must be a non-empty string");
+      }
+
+      if (form_data.use_points !== undefined) {
+        const points = Number(form_data.use_points);
+        if (!Number.isInteger(points) || points < 1) {
+          errors.push("form_data.use_points must be a positive integer");
+        }
+      }
+
+      if (
+        form_data.delivery_date !== undefined &&
+        !OrderValidation._isDate(form_data.delivery_date)
+      ) {
+        errors.push("form_data.delivery_date must be a date (YYYY-MM-DD)");
+      }
+
+      for (const field of ["delivery_time_slot", "note"]) {
+        const value = form_data[field];
+        if (value !== undefined && (typeof value !== "string" || !value)) {
+          errors.push(`form_data.${field} must be a non-empty string`);
+        }
+      }
+
+      if (form_data.subscription !== undefined) {
+        OrderValidation._validateSubscription(form_data, errors);
       }
 
       // Validate billing_address if provided
       if (form_data.billing_address) {
-        const addr = form_data.billing_address;
-        const requiredFields = [
-          "name01",
-          "name02",
-          "kana01",
-          "kana02",
-          "zip01",
-          "zip02",
-          "addr02",
-          "tel01",
-          "tel02",
-          "tel03",
-        ];
-
-        for (const field of requiredFields) {
-          if (!addr[field]) {
-            errors.push(
-              `form_data.billing_address.${field} is required when billing_address is provided`
-            );
-          }
-        }
+        OrderValidation._validateAddress(
+          form_data.billing_address,
+          "billing_address",
+          errors
+        );
       }
     }
 
@@ -87,10 +163,157 @@ class OrderValidation {
       );
     }
 
-    // Validation passed
+    // Validation passed: the controller uses this key, never the raw inputs
+    req.idempotencyKey =
+      idempotencyKey === undefined ? null : idempotencyKey.trim();
     next();
   }
 
+  /**
+   * Raw idempotency key: the `Idempotency-Key` header, else form_data.idempotency_key
+   * @param {Object} req - Express request
+   * @returns {*} undefined when neither is sent
+   */
+  static readIdempotencyKey(req) {
+    return (
+      req.headers["idempotency-key"] ?? req.body?.form_data?.idempotency_key
+    );
+  }
+
+  /**
+   * Validate form_data.subscription (cycle type, interval, next delivery date)
+   * @private
+   */
+  static _validateSubscription(formData, errors) {
+    const subscription = formData.subscription;
+    const path = "form_data.subscription";
+    if (
+      !subscription ||
+      typeof subscription !== "object" ||
+      Array.isArray(subscription)
+    ) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    if (!SUBSCRIPTION_CYCLE_TYPES.includes(subscription.cycle_type)) {
+      errors.push(
+        `${path}.cycle_type must be one of ${SUBSCRIPTION_CYCLE_TYPES.join(", ")}`
+      );
+    }
+
+    const interval = Number(subscription.interval);
+    if (!Number.isInteger(interval) || interval < 1) {
+      errors.push(`${path}.interval must be a positive integer`);
+    }
+
+    const next = subscription.next_delivery_date;
+    if (next !== undefined) {
+      if (!OrderValidation._isDate(next)) {
+        errors.push(`${path}.next_delivery_date must be a date (YYYY-MM-DD)`);
+      } else if (
+        OrderValidation._isDate(formData.delivery_date) &&
+        next <= formData.delivery_date
+      ) {
+        errors.push(
+          `${path}.next_delivery_date must be after form_data.delivery_date`
+        );
+      }
+    }
+  }
+
+  /**
+   * Whether a value is a real calendar date as YYYY-MM-DD
+   * @private
+   */
+  static _isDate(value) {
+    return (
+      typeof value === "string" &&
+      /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+      !Number.isNaN(Date.parse(value)) &&
+      new Date(value).toISOString().slice(0, 10) === value
+    );
+  }
+
+  /**
+   * Validate an address object (billing_address, shipping_address)
+   * Zip code as 3 + 4 digits, phone as 10-11 digits starting with 0.
+   * @private
+   */
+  static _validateAddress(addr, key, errors) {
+    const path = `form_data.${key}`;
+    if (!addr || typeof addr !== "object" || Array.isArray(addr)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    for (const field of ADDRESS_REQUIRED_FIELDS) {
+      if (!addr[field]) {
+        errors.push(`${path}.${field} is required when ${key} is provided`);
+      }
+    }
+
+    if (addr.zip01 && !/^\d{3}$/.test(addr.zip01)) {
+      errors.push(`${path}.zip01 must be 3 digits`);
+    }
+    if (addr.zip02 && !/^\d{4}$/.test(addr.zip02)) {
+      errors.push(`${path}.zip02 must be 4 digits`);
+    }
+
+    const tel = [addr.tel01, addr.tel02, addr.tel03];
+    if (
+      tel.every(Boolean) &&
+      (!tel.every((part) => /^\d{1,5}$/.test(part)) ||
+        !/^0\d{9,10}$/.test(tel.join("")))
+    ) {
+      errors.push(
+        `${path}.tel01-tel03 must be a Japanese phone number (10-11 digits starting with 0)`
+      );
+    }
+
+    // Optional: otherwise taken from EC-Force's zip code lookup
+    if (
+      addr.prefecture !== undefined &&
+      !(typeof addr.prefecture === "string" && addr.prefecture) &&
+      !Number.isInteger(addr.prefecture)
+    ) {
+      errors.push(`${path}.prefecture must be a prefecture name or code`);
+    }
+  }
+
+  /**
+   * Validate a single line item (name, optional variant_id/sku and quantity)
+   * @private
+   */
+  static _validateLineItem(item, path, errors) {
+    if (!item || typeof item !== "object") {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    if (!item.name) {
+      errors.push(`${path}.name is required`);
+    }
+
+    if (item.quantity !== undefined) {
+      const quantity = Number(item.quantity);
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        errors.push(`${path}.quantity must be a positive integer`);
+      }
+    }
+
+    for (const field of ["variant_id", "sku"]) {
+      const value = item[field];
+      if (
+        value !== undefined &&
+        typeof value !== "string" &&
+        typeof value !== "number"
+      ) {
+        errors.push(`${path}.${field} must be a string or number`);
+      }
+    }
+  }
+
   /**
    * Sanitize request body
    */
@@ -103,8 +326,18 @@ class OrderValidation {
         formData.customer_id = String(formData.customer_id).trim();
       }
 
-      if (formData.product?.name) {
-        formData.product.name = String(formData.product.name).trim();
+      const lineItems = [
+        formData.product,
+        ...(Array.isArray(formData.products) ? formData.products : []),
+      ];
+      for (const item of lineItems) {
+        if (!item || typeof item !== "object") continue;
+
+        for (const field of ["name", "variant_id", "sku"]) {
+          if (item[field] !== undefined && item[field] !== null) {
+            item[field] = String(item[field]).trim();
+          }
+        }
       }
 
       if (formData.shipping_address_id) {
@@ -121,12 +354,35 @@ class OrderValidation {
         formData.credit_card_id = String(formData.credit_card_id).trim();
       }
 
-      // Sanitize billing address
-      if (formData.billing_address) {
-        const addr = formData.billing_address;
+      const textFields = ["coupon_code", "delivery_date", "delivery_time_slot"];
+      for (const field of textFields) {
+        if (typeof formData[field] === "string") {
+          formData[field] = formData[field].trim();
+        }
+      }
+
+      if (formData.subscription && typeof formData.subscription === "object") {
+        for (const field of ["cycle_type", "next_delivery_date"]) {
+          if (typeof formData.subscription[field] === "string") {
+            formData.subscription[field] = formData.subscription[field].trim();
+          }
+        }
+      }
+
+      // Typed into a textarea, which only keeps "\n"
+      if (typeof formData.note === "string") {
+        formData.note = formData.note.replace(/\r\n?/g, "\n").trim();
+      }
+
+      // Sanitize addresses (numbers as strings, as typed into the form)
+      for (const addr of [formData.billing_address, formData.shipping_address]) {
+        if (!addr || typeof addr !== "object") continue;
+
         for (const key of Object.keys(addr)) {
           if (typeof addr[key] === "string") {
             addr[key] = addr[key].trim();
+          } else if (typeof addr[key] === "number") {
+            addr[key] = String(addr[key]);
           }
         }
       }
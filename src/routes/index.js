@@ -2,9 +2,15 @@ const express = require("express");
 const rateLimit = require("express-rate-limit");
 const OrderController = require("../controllers/orderController");
 const HealthController = require("../controllers/healthController");
+const AdminController = require("../controllers/adminController");
+const CustomerController = require("../controllers/customerController");
+const ProductController = require("../controllers/productController");
 const authMiddleware = require("../middleware/auth");
+const adminAuthMiddleware = require("../middleware/adminAuth");
+const accountMiddleware = require("../middleware/account");
 const OrderValidation = require("../middleware/orderValidation");
 const { asyncHandler } = require("../middleware/errorHandler");
+const { getMetrics } = require("../utils/metrics");
 const config = require("../config");
 
 const router = express.Router();
@@ -27,6 +33,11 @@ const createOrderLimiter = rateLimit({
 router.get("/healthz", asyncHandler(HealthController.checkHealth));
 router.get("/healthz/detailed", asyncHandler(HealthController.checkHealthDetailed));
 
+// Prometheus metrics
+if (config.metrics.enabled) {
+  router.get(config.metrics.path, getMetrics);
+}
+
 // Order routes
 router.post(
   "/api/orders/create",
@@ -37,6 +48,68 @@ router.post(
   asyncHandler(OrderController.createOrder)
 );
 
+router.get(
+  "/api/orders/jobs/:id",
+  authMiddleware,
+  asyncHandler(OrderController.getOrderJob)
+);
+
+router.get(
+  "/api/orders/:orderId",
+  authMiddleware,
+  accountMiddleware,
+  asyncHandler(OrderController.getOrder)
+);
+
+// Customer routes
+router.get(
+  "/api/customers",
+  authMiddleware,
+  accountMiddleware,
+  asyncHandler(CustomerController.searchCustomers)
+);
+
+// Product routes
+router.get(
+  "/api/products",
+  authMiddleware,
+  accountMiddleware,
+  asyncHandler(ProductController.listProducts)
+);
+
+router.get(
+  "/api/products/:id",
+  authMiddleware,
+  accountMiddleware,
+  asyncHandler(ProductController.getProduct)
+);
+
+router.get(
+  "/api/products/:id/stock",
+  authMiddleware,
+  accountMiddleware,
+  asyncHandler(ProductController.getProductStock)
+);
+
+// Admin routes
+router.get(
+  "/api/admin/circuits",
+  adminAuthMiddleware,
+  asyncHandler(AdminController.listCircuits)
+);
+
+router.post(
+  "/api/admin/circuits/:name/reset",
+  adminAuthMiddleware,
+  asyncHandler(AdminController.resetCircuit)
+);
+
+router.post(
+  "/api/admin/circuits/:name/open",
+  adminAuthMiddleware,
+  asyncHandler(AdminController.openCircuit)
+);
+
 // API info route
 router.get("/api", (req, res) => {
   res.json({
@@ -45,7 +118,19 @@ router.get("/api", (req, res) => {
     version: require("../../package.json").version,
     endpoints: {
       health: "GET /health",
+      ...(config.metrics.enabled && {
+        metrics: `GET ${config.metrics.path}`,
+      }),
       createOrder: "POST /api/orders/create",
+      getOrderJob: "GET /api/orders/jobs/:id",
+      getOrder: "GET /api/orders/:orderId",
+      searchCustomers: "GET /api/customers",
+      listProducts: "GET /api/products",
+      getProduct: "GET /api/products/:id",
+      getProductStock: "GET /api/products/:id/stock",
+      listCircuits: "GET /api/admin/circuits",
+      resetCircuit: "POST /api/admin/circuits/:name/reset",
+      openCircuit: "POST /api/admin/circuits/:name/open",
     },
     documentation: "See README.md for detailed API documentation",
   });
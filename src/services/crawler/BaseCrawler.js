@@ -7,6 +7,15 @@ const {
 } = require("../../utils/screenshot");
 const { CrawlerError, ErrorCodes } = require("../../middleware/errorHandler");
 const { getBrowserPool } = require("../../utils/browserPool");
+const { recordCrawlerStep } = require("../../utils/metrics");
+
+// Caused by the request itself: repeating the step gives the same answer
+const NON_RETRYABLE_CODES = [
+  ErrorCodes.VALIDATION_ERROR,
+  ErrorCodes.VARIANT_NOT_FOUND,
+  ErrorCodes.DISCOUNT_REJECTED,
+  ErrorCodes.DELIVERY_SCHEDULE_UNAVAILABLE,
+];
 
 /**
  * Base Crawler class with common functionality.
@@ -15,10 +24,18 @@ const { getBrowserPool } = require("../../utils/browserPool");
 class BaseCrawler {
   constructor(options = {}) {
     this.browser = null;
+    // Isolated context from the browser pool (pages open in it when set)
+    this.browserContext = null;
     this.page = null;
     this.options = { ...config.puppeteer, ...options };
     this.startTime = Date.now();
     this.pooledBrowser = false;
+    // Shop label for metrics (subclasses set this to the target host)
+    this.metricsShop = "unknown";
+    // Waits, pauses and retry counts (config.crawler, see constants.js)
+    this.timeouts = { ...config.crawler.timeouts, ...options.timeouts };
+    this.delays = { ...config.crawler.delays, ...options.delays };
+    this.retries = { ...config.crawler.retries, ...options.retries };
   }
 
   /**
@@ -41,7 +58,11 @@ class BaseCrawler {
         // Use browser pool for better performance (headless only)
         const pool = getBrowserPool();
         if (pool.initialized) {
-          this.browser = await pool.acquire();
+          this.browserContext = await pool.acquire({
+            tenant: this.metricsShop,
+            signal: this.options.signal,
+          });
+          this.browser = this.browserContext.browser();
           this.pooledBrowser = true;
           logger.debug('Using pooled browser instance');
         } else {
@@ -54,7 +75,7 @@ class BaseCrawler {
         logger.debug('Launched new browser instance');
       }
 
-      this.page = await this.browser.newPage();
+      this.page = await (this.browserContext || this.browser).newPage();
 
       if (this.options.userAgent) {
         await this.page.setUserAgent(this.options.userAgent);
@@ -74,6 +95,8 @@ class BaseCrawler {
       return this.page;
     } catch (error) {
       logger.error(`Failed to initialize browser: ${error}`);
+      // Pool exhaustion / client disconnect keep their own codes
+      if (error instanceof CrawlerError) throw error;
       throw new CrawlerError(
         "Failed to initialize browser",
         ErrorCodes.BROWSER_INIT_FAILED,
@@ -125,9 +148,9 @@ class BaseCrawler {
     if (this.browser) {
       try {
         if (this.pooledBrowser) {
-          // Return browser to pool instead of closing
+          // Return browser to pool instead of closing (drops the context)
           const pool = getBrowserPool();
-          await pool.release(this.browser);
+          await pool.release(this.browserContext);
           logger.info("Browser returned to pool");
         } else {
           // Close standalone browser
@@ -138,6 +161,7 @@ class BaseCrawler {
         logger.error("Error closing browser:", error);
       } finally {
         this.browser = null;
+        this.browserContext = null;
         this.page = null;
         this.pooledBrowser = false;
       }
@@ -216,7 +240,7 @@ class BaseCrawler {
           (el) => el.scrollIntoView({ behavior: "smooth", block: "center" }),
           element
         );
-        await this.sleep(300);
+        await this.sleep(this.delays.AFTER_SCROLL);
         await element.click();
         logger.debug(`Element clicked: ${selector}`);
         return;
@@ -258,7 +282,7 @@ class BaseCrawler {
    */
   async fillInput(selector, value, options = {}) {
     if (!value) return;
-    const maxRetries = options.maxRetries || 3;
+    const maxRetries = options.maxRetries || this.retries.FILL_INPUT_MAX;
     let lastError;
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
@@ -267,15 +291,15 @@ class BaseCrawler {
           (el) => el.scrollIntoView({ behavior: "smooth", block: "center" }),
           element
         );
-        await this.sleep(200);
+        await this.sleep(this.delays.BEFORE_CLICK);
         await element.click();
-        await this.sleep(100);
+        await this.sleep(this.delays.BEFORE_TYPE);
         // Clear and type
         await this.page.evaluate((sel) => {
           const el = document.querySelector(sel);
           if (el) el.value = "";
         }, selector);
-        await element.type(value, { delay: 50 });
+        await element.type(value, { delay: this.delays.TYPING_DELAY });
         // Verify
         const actual = await this.page.evaluate(
           (sel) => document.querySelector(sel)?.value,
@@ -289,7 +313,7 @@ class BaseCrawler {
       } catch (error) {
         lastError = error;
         logger.warn(`Fill attempt ${attempt} failed: ${error.message}`);
-        if (attempt < maxRetries) await this.sleep(500);
+        if (attempt < maxRetries) await this.sleep(this.delays.BETWEEN_RETRIES);
       }
     }
     await this.handleError(
@@ -362,6 +386,26 @@ class BaseCrawler {
     }
   }
 
+  /**
+   * Run a crawler step and record its duration and outcome.
+   * @param {string} step - Step name (metrics label).
+   * @param {Function} fn - Async step function.
+   * @returns {any} Result of fn.
+   */
+  async measureStep(step, fn) {
+    const start = Date.now();
+    try {
+      const result = await fn();
+      const seconds = (Date.now() - start) / 1000;
+      recordCrawlerStep(step, "success", this.metricsShop, seconds);
+      return result;
+    } catch (error) {
+      const seconds = (Date.now() - start) / 1000;
+      recordCrawlerStep(step, "failed", this.metricsShop, seconds);
+      throw error;
+    }
+  }
+
   /**
    * Sleep for ms.
    * @param {number} ms - Milliseconds.
@@ -376,7 +420,7 @@ class BaseCrawler {
    * @param {number} timeout - Timeout in ms.
    * @returns {boolean}
    */
-  async elementExists(selector, timeout = 3000) {
+  async elementExists(selector, timeout = this.timeouts.SELECTOR_WAIT_SHORT) {
     try {
       await this.page.waitForSelector(selector, { timeout });
       return true;
@@ -387,6 +431,7 @@ class BaseCrawler {
 
   /**
    * Retry a function.
+   * Errors the request caused (see isRetryable) are thrown right away.
    * @param {Function} fn - Async function to retry.
    * @param {number} maxAttempts - Max retries.
    * @param {number} delayMs - Delay between retries.
@@ -403,6 +448,8 @@ class BaseCrawler {
       try {
         return await fn();
       } catch (error) {
+        if (!BaseCrawler.isRetryable(error)) throw error;
+
         lastError = error;
         logger.warn(`Retry ${attempt}/${maxAttempts} failed: ${error.message}`);
         if (attempt < maxAttempts) await this.sleep(delayMs);
@@ -410,6 +457,29 @@ class BaseCrawler {
     }
     throw lastError;
   }
+
+  /**
+   * Whether retrying can help: not for errors the request caused, which are
+   * also the ones that do not count against the shop's circuit breaker.
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  static isRetryable(error) {
+    return !(
+      NON_RETRYABLE_CODES.includes(error?.code) ||
+      config.circuitBreaker.ignoredErrorCodes.includes(error?.code)
+    );
+  }
+
+  /**
+   * Shop URL from the account settings of this crawler's platform.
+   * Platform crawlers declare `credentialsKey` (see crawler/registry.js).
+   * @param {Object} account - Parsed account object.
+   * @returns {string|null} Shop URL.
+   */
+  static getShopUrl(account) {
+    return account?.options?.[this.credentialsKey]?.shop_url ?? null;
+  }
 }
 
 module.exports = BaseCrawler;
@@ -1,43 +1,140 @@
+const path = require("path");
+const Joi = require("joi");
 const BaseCrawler = require("./BaseCrawler");
+const config = require("../../config");
+const { timeoutsSchema } = require("../../config/schema");
+const { SUBSCRIPTION_CYCLE_TYPES } = require("../../config/constants");
 const logger = require("../../utils/logger");
 const { CrawlerError, ErrorCodes } = require("../../middleware/errorHandler");
 const { sanitizeUrl, sanitizeCustomerId } = require("../../utils/sanitizer");
-const { getCircuitBreaker } = require("../../utils/circuitBreaker");
+const { getShopCircuitBreaker } = require("../../utils/circuitBreaker");
+const OrderPreflightService = require("../order/OrderPreflightService");
+const OrderLookupService = require("../order/OrderLookupService");
+const { SelectorPacks } = require("./selectorPacks");
+const SessionCookieStore = require("./SessionCookieStore");
+const {
+  recordCrawlerExecution,
+  recordCrawlerError,
+  recordOrderCreated,
+  recordOrderFailed,
+  getShopLabel,
+} = require("../../utils/metrics");
 // Order notifications are handled at controller level to centralize failure handling
 
-// Centralize selectors and texts for easy maintenance
-const EC_FORCE_SELECTORS = {
-  login: {
-    email: "#admin_email",
-    password: "#admin_password",
-    submit: 'input[type="submit"]',
-  },
-  orderForm: {
-    addItem: "#add_order_item",
-    productInput:
-      '#add_item_product, input[name="add_item_product"], .modal input[type="text"]',
-    modal: '.modal, .modal-dialog, [role="dialog"]',
-    variantTable: "#variant-detail",
-    addButton: 'button, input[type="submit"]', // Filter by text later
-    shippingAddress: 'select[name="order[shipping_address_id]"]',
-    paymentMethod:
-      'select[name="order[payment_attributes][payment_method_id]"]',
-    creditCard: 'select[name="order[payment_attributes][source_id]"]',
-    submit: "#submit",
-    errorAlert: ".alert-danger",
-    performViewTd: "#perform-view td",
-    orderLink: "#perform-view td a:first-child",
-  },
-  billingPrefix: "order[billing_address_attributes]",
+const label = Joi.string().min(1).required();
+const labels = Joi.array().items(Joi.string().min(1)).min(1).required();
+const labelsOf = (keys, schema) =>
+  Joi.object(Object.fromEntries(keys.map((key) => [key, schema]))).required();
+
+// Shape of a selector/text pack (packs/ecforce/*.json, see selectorPacks.js)
+const EC_FORCE_PACK_SCHEMA = Joi.object({
+  selectors: Joi.object({
+    login: labelsOf(["email", "password", "submit"], label),
+    orderForm: labelsOf(
+      [
+        "addItem",
+        "productInput",
+        "modal",
+        "variantTable",
+        "orderItemsTable",
+        "addButton", // Filter by text later
+        "shippingAddress",
+        "paymentMethod",
+        "creditCard",
+        "submit",
+        "errorAlert",
+        "fieldError", // Inline error next to an input
+        "couponCode",
+        "usePoints",
+        "recalculate", // Filter by text later
+        "deliveryDate",
+        "deliveryTimeSlot",
+        "note",
+        "performViewTd",
+        "orderLink",
+      ],
+      label
+    ),
+    billingPrefix: label,
+    shippingPrefix: label,
+    subscription: Joi.object({
+      cycleType: label,
+      // Interval field per cycle type (input or select)
+      interval: labelsOf(SUBSCRIPTION_CYCLE_TYPES, label),
+      nextDeliveryDate: label,
+      // Link to the subscription on the order detail page
+      subsOrderLink: label,
+    }).required(),
+  }).required(),
+  texts: Joi.object({
+    loginSuccess: label,
+    addButton: label,
+    paymentCredit: label,
+    // Shipping address dropdown option that shows the new-address fields
+    newShippingAddress: label,
+    recalculate: label,
+    // Cycle type option labels, matched with `includes` when no option value matches
+    subscriptionCycleTypes: labelsOf(SUBSCRIPTION_CYCLE_TYPES, label),
+    confirmButton: label,
+    // Confirmation page labels, matched with `includes` in this order
+    confirmLabels: labelsOf(
+      [
+        "subtotal",
+        "shippingFee",
+        "fee",
+        "discount",
+        "total",
+        "tax",
+        "paymentMethod",
+      ],
+      labels
+    ),
+    itemHeaders: labelsOf(["name", "quantity", "price", "subtotal"], label),
+  }).required(),
+});
+
+// Loaded once at startup: an invalid pack stops the service from booting
+const selectorPacks = new SelectorPacks({
+  platform: "ecforce",
+  schema: EC_FORCE_PACK_SCHEMA,
+  dirs: [
+    path.join(__dirname, "packs", "ecforce"),
+    config.crawler.selectorPacksDir,
+  ],
+}).load();
+
+/**
+ * Parse a yen amount like "¥1,234" or "-500円" into a number.
+ * @param {string} text
+ * @returns {number|null}
+ */
+const parseAmount = (text) => {
+  const match = String(text || "").replace(/[,\s¥￥]/g, "").match(/-?\d+/);
+  return match ? parseInt(match[0], 10) : null;
 };
 
-const EC_FORCE_TEXTS = {
-  loginSuccess: "ログインしました。",
-  addButton: "追加する",
-  paymentCredit: "クレジットカード",
-  confirmButton: "ご注文完了へ",
+/**
+ * Date in a delivery date option ("2025/11/20(木)", "2025-11-20") as YYYY-MM-DD.
+ * @param {string} text
+ * @returns {string|null}
+ */
+const parseOptionDate = (text) => {
+  const match = String(text || "").match(/(\d{4})\D(\d{1,2})\D(\d{1,2})/);
+  if (!match) return null;
+  const [, year, month, day] = match;
+  return `${year}-${month.padStart(2, "0")}-${day.padStart(2, "0")}`;
 };
 
+/**
+ * Comparable time slot label: no spaces, one kind of range dash.
+ * @param {string} text
+ * @returns {string}
+ */
+const normalizeTimeSlot = (text) =>
+  String(text || "")
+    .replace(/\s+/g, "")
+    .replace(/[〜～~ー−–—]/g, "-");
+
 class EcForceOrderCrawler extends BaseCrawler {
   constructor(options = {}) {
     super(options);
@@ -49,6 +146,8 @@ class EcForceOrderCrawler extends BaseCrawler {
     this.account = options.account;
     this.customer = options.customer;
     this.formData = options.formData;
+    // Stop at the confirmation page without placing the order
+    this.dryRun = !!options.dryRun;
 
     // Extract EC-Force credentials from account options
     const ecForceInfo = this.account?.options?.ec_force_info;
@@ -65,10 +164,55 @@ class EcForceOrderCrawler extends BaseCrawler {
       admin_password: ecForceInfo.password,
     };
     this.shopUrl = ecForceInfo.shop_url;
+    this.metricsShop = getShopLabel(this.shopUrl);
+    // Slower merchants' admin pages can get longer waits
+    this.timeouts = { ...this.timeouts, ...ecForceInfo.timeouts };
+    this.sessionKey = SessionCookieStore.sessionKey(
+      EcForceOrderCrawler.platform,
+      this.shopUrl,
+      ecForceInfo.email
+    );
+
+    // Selectors and texts: the account's pack plus its own overrides
+    const pack = EcForceOrderCrawler.resolveSelectorPack(ecForceInfo);
+    this.selectorPack = pack.id;
+    this.selectors = pack.selectors;
+    this.texts = pack.texts;
     this.orderResult = null;
+    // Line items confirmed in the order item table (survives fillOrderForm retries)
+    this.addedItems = [];
+    // Set once the confirm button is clicked - a later failure may still have created the order
+    this.orderSubmitted = false;
+    // Set once every billing address field has been entered and verified
+    this.billingAddressApplied = false;
+    // Coupon/points discount read from the confirmation page
+    this.appliedDiscount = null;
+    // Delivery date/time slot as selected in the order form
+    this.deliverySchedule = null;
+    // Subscription settings as entered in the order form
+    this.subscriptionApplied = null;
 
     const maskedUrl = this.shopUrl?.replace(/:\/\/[^@]+@/, "://**:**@");
-    logger.info(`EcForceOrderCrawler initialized - shopUrl: ${maskedUrl}`);
+    logger.info(
+      `EcForceOrderCrawler initialized - shopUrl: ${maskedUrl}, selectorPack: ${this.selectorPack}`
+    );
+  }
+
+  /**
+   * Selector/text pack for an account
+   * @param {Object} ecForceInfo - account.options.ec_force_info
+   *   (selector_pack: "name" or "name@version"; selectors/texts: partial overrides)
+   * @returns {{id: string, selectors: Object, texts: Object}}
+   * @throws {CrawlerError} VALIDATION_ERROR for an unknown pack or invalid overrides
+   */
+  static resolveSelectorPack(ecForceInfo = {}) {
+    try {
+      return selectorPacks.resolve(ecForceInfo.selector_pack, ecForceInfo);
+    } catch (error) {
+      throw new CrawlerError(error.message, ErrorCodes.VALIDATION_ERROR, 400, {
+        available: selectorPacks.list(),
+      });
+    }
   }
 
   /**
@@ -111,7 +255,17 @@ class EcForceOrderCrawler extends BaseCrawler {
       );
     }
 
-    if (!formData.product?.name) {
+    if (Array.isArray(formData.products) && formData.products.length > 0) {
+      formData.products.forEach((product, index) => {
+        if (!product?.name) {
+          throw new CrawlerError(
+            `Missing products[${index}].name in form_data`,
+            ErrorCodes.VALIDATION_ERROR,
+            400
+          );
+        }
+      });
+    } else if (!formData.product?.name) {
       throw new CrawlerError(
         "Missing product.name in form_data",
         ErrorCodes.VALIDATION_ERROR,
@@ -119,15 +273,27 @@ class EcForceOrderCrawler extends BaseCrawler {
       );
     }
 
-    if (!formData.shipping_address_id) {
+    if (!formData.shipping_address_id && !formData.shipping_address) {
       throw new CrawlerError(
-        "Missing shipping_address_id in form_data",
+        "Missing shipping_address_id or shipping_address in form_data",
         ErrorCodes.VALIDATION_ERROR,
         400
       );
     }
   }
 
+  /**
+   * Line items to add: `form_data.products`, or the single `form_data.product`.
+   * @returns {Array<Object>}
+   */
+  getOrderProducts() {
+    const { products, product } = this.formData;
+    if (Array.isArray(products) && products.length > 0) {
+      return products;
+    }
+    return [product];
+  }
+
   /**
    * Main execution method with circuit breaker protection.
    * @returns {Object} Success result or throws error.
@@ -139,17 +305,30 @@ class EcForceOrderCrawler extends BaseCrawler {
       `Starting EC-Force order creation - formCustomerId: ${this.formData.customer_id}`
     );
 
-    const circuitBreaker = getCircuitBreaker("ecforce");
+    // One breaker per shop so a failing merchant does not block the others
+    const circuitBreaker = getShopCircuitBreaker(this.shopUrl);
 
     try {
+      // Reject unknown or sold-out products before spending a browser
+      // (outside the breaker: these say nothing about the shop's health)
+      if (config.orderPreflight.enabled) {
+        await this.measureStep("preflight", () =>
+          OrderPreflightService.check(this.account, this.getOrderProducts())
+        );
+      }
+
       // Execute with circuit breaker protection
       await circuitBreaker.execute(async () => {
-        await this.initBrowser();
-        await this.page.setViewport({ width: 1920, height: 1080 });
+        await this.measureStep("init_browser", async () => {
+          await this.initBrowser();
+          await this.page.setViewport({ width: 1920, height: 1080 });
+        });
         await this.run();
       });
 
       const executionTime = Date.now() - startTime;
+      recordCrawlerExecution("success", this.metricsShop, executionTime / 1000);
+      if (!this.dryRun) recordOrderCreated(this.metricsShop);
       logger.info(
         `Order creation completed successfully - executionTime: ${executionTime}ms, orderId: ${this.orderResult?.order_id}, orderNumber: ${this.orderResult?.order_number}`
       );
@@ -162,16 +341,32 @@ class EcForceOrderCrawler extends BaseCrawler {
     } catch (error) {
       const executionTime = Date.now() - startTime;
 
+      if (this.orderSubmitted) {
+        error.orderMayExist = true;
+      }
+
+      const circuitErrorCodes = {
+        CIRCUIT_OPEN: ErrorCodes.CRAWLER_CIRCUIT_OPEN,
+        CIRCUIT_TIMEOUT: ErrorCodes.CRAWLER_TIMEOUT,
+      };
+      const errorCode =
+        circuitErrorCodes[error.code] ||
+        error.code ||
+        ErrorCodes.UNKNOWN_ERROR;
+      recordCrawlerExecution("failed", this.metricsShop, executionTime / 1000);
+      recordCrawlerError(errorCode, this.metricsShop);
+      if (!this.dryRun) recordOrderFailed(this.metricsShop, errorCode);
+
       // Handle circuit breaker specific errors
       if (error.code === "CIRCUIT_OPEN") {
         logger.error(
           `Circuit breaker open - service unavailable - executionTime: ${executionTime}ms`
         );
         throw new CrawlerError(
-          "EC-Force service temporarily unavailable due to repeated failures",
+          "EC-Force shop temporarily unavailable due to repeated failures",
           ErrorCodes.CRAWLER_CIRCUIT_OPEN,
           503,
-          { lastError: error.lastError }
+          { shop: circuitBreaker.name, lastError: error.lastError }
         );
       }
 
@@ -179,12 +374,14 @@ class EcForceOrderCrawler extends BaseCrawler {
         logger.error(
           `Circuit breaker timeout - executionTime: ${executionTime}ms`
         );
-        throw new CrawlerError(
+        const timeoutError = new CrawlerError(
           "EC-Force operation timeout",
           ErrorCodes.CRAWLER_TIMEOUT,
           504,
           { timeout: error.message }
         );
+        timeoutError.orderMayExist = this.orderSubmitted;
+        throw timeoutError;
       }
 
       logger.error(
@@ -208,23 +405,43 @@ class EcForceOrderCrawler extends BaseCrawler {
    */
   async run() {
     // Step 1: Login (with retry)
-    await this.withRetry(() => this.login());
+    await this.measureStep("login", () => this.withRetry(() => this.login()));
 
     // Step 2: Navigate to order form
-    await this.navigateToOrderForm();
+    await this.measureStep("navigate", () => this.navigateToOrderForm());
 
     // Step 3: Fill order form (with retry for flaky interactions)
-    await this.withRetry(() => this.fillOrderForm());
+    await this.measureStep("fill_form", () =>
+      this.withRetry(() => this.fillOrderForm())
+    );
+
+    // Step 4: Submit order for review
+    await this.measureStep("submit", () => this.submitOrderForReview());
+
+    if (this.formData.coupon_code || this.formData.use_points) {
+      await this.readAppliedDiscount();
+    }
 
-    // Step 4: Submit order and confirm in one step
-    await this.submitAndConfirmOrder(); // Step 6: Extract order details
-    await this.extractOrderDetails();
+    // Dry run: stop at the confirmation page and return a price preview
+    if (this.dryRun) {
+      await this.measureStep("extract", () =>
+        this.extractConfirmationDetails()
+      );
+      return;
+    }
+
+    // Step 5: Confirm order
+    await this.measureStep("confirm", () => this.confirmOrder());
+
+    // Step 6: Extract order details
+    await this.measureStep("extract", () => this.extractOrderDetails());
   }
 
   /**
-   * Submit order form and confirm in one flow.
+   * Submit the order form and wait for the confirmation page.
+   * @throws {CrawlerError} If EC-Force rejects the form or no confirmation page loads.
    */
-  async submitAndConfirmOrder() {
+  async submitOrderForReview() {
     logger.info("Step 4: Submitting order for review");
 
     await this.takeScreenshot("before_submit.png");
@@ -233,7 +450,7 @@ class EcForceOrderCrawler extends BaseCrawler {
     );
 
     // Submit order form
-    await this.clickElement(EC_FORCE_SELECTORS.orderForm.submit);
+    await this.clickElement(this.selectors.orderForm.submit);
     await this.page.waitForNavigation({
       waitUntil: "load",
       timeout: this.options.timeout,
@@ -241,14 +458,14 @@ class EcForceOrderCrawler extends BaseCrawler {
 
     // Check for errors
     const hasError = await this.elementExists(
-      EC_FORCE_SELECTORS.orderForm.errorAlert,
-      2000
+      this.selectors.orderForm.errorAlert,
+      this.timeouts.ERROR_ALERT_WAIT
     );
 
     if (hasError) {
       const errorMsg = await this.page.evaluate(
         (sel) => document.querySelector(sel)?.textContent.trim(),
-        EC_FORCE_SELECTORS.orderForm.errorAlert
+        this.selectors.orderForm.errorAlert
       );
       await this.takeScreenshot("submit_error.png");
 
@@ -263,7 +480,7 @@ class EcForceOrderCrawler extends BaseCrawler {
     // Verify confirmation page loaded
     const hasConfirm = await this.page.evaluate(
       (text) => document.body.textContent.includes(text),
-      EC_FORCE_TEXTS.confirmButton
+      this.texts.confirmButton
     );
 
     if (!hasConfirm) {
@@ -275,8 +492,13 @@ class EcForceOrderCrawler extends BaseCrawler {
       );
     }
 
-    logger.info("Order submitted successfully - now confirming");
+    logger.info("Order submitted successfully - confirmation page loaded");
+  }
 
+  /**
+   * Click the confirm button on the confirmation page to place the order.
+   */
+  async confirmOrder() {
     // Confirm order on confirmation page
     await this.takeScreenshot("before_confirm.png");
     await this.page.evaluate(() =>
@@ -285,14 +507,15 @@ class EcForceOrderCrawler extends BaseCrawler {
 
     // Try to find and click confirm button using resilient puppeteer APIs
     const confirmSelectors = [
-      `button:contains("${EC_FORCE_TEXTS.confirmButton}")`,
-      `input[type="submit"][value*="${EC_FORCE_TEXTS.confirmButton}"]`,
+      `button:contains("${this.texts.confirmButton}")`,
+      `input[type="submit"][value*="${this.texts.confirmButton}"]`,
       'button[type="submit"]',
       'input[type="submit"]',
     ];
 
     let clicked = false;
-    const maxAttempts = 3;
+    const maxAttempts = this.retries.CONFIRM_MAX;
+    this.orderSubmitted = true;
     for (let attempt = 1; attempt <= maxAttempts && !clicked; attempt++) {
       try {
         // Prefer explicit text-matching selector first via evaluate to get exact node path
@@ -308,18 +531,18 @@ class EcForceOrderCrawler extends BaseCrawler {
           if (node.id) return `#${node.id}`;
           if (node.name) return `button[name="${node.name}"]`;
           return null;
-        }, EC_FORCE_TEXTS.confirmButton);
+        }, this.texts.confirmButton);
 
         // Try to click using found selector path first
         if (found) {
           try {
             await this.page.waitForSelector(found, {
               visible: true,
-              timeout: 3000,
+              timeout: this.timeouts.CONFIRM_BUTTON_WAIT,
             });
             const el = await this.page.$(found);
             if (el) {
-              await el.click({ delay: 50 });
+              await el.click({ delay: this.delays.CLICK_PRESS });
               clicked = true;
               break;
             }
@@ -333,11 +556,11 @@ class EcForceOrderCrawler extends BaseCrawler {
           try {
             await this.page.waitForSelector(sel, {
               visible: true,
-              timeout: 2000,
+              timeout: this.timeouts.CONFIRM_FALLBACK_WAIT,
             });
             const el = await this.page.$(sel);
             if (el) {
-              await el.click({ delay: 50 });
+              await el.click({ delay: this.delays.CLICK_PRESS });
               clicked = true;
               break;
             }
@@ -360,7 +583,7 @@ class EcForceOrderCrawler extends BaseCrawler {
               return true;
             }
             return false;
-          }, EC_FORCE_TEXTS.confirmButton);
+          }, this.texts.confirmButton);
 
           if (evalClicked) clicked = true;
         }
@@ -371,9 +594,9 @@ class EcForceOrderCrawler extends BaseCrawler {
             await Promise.race([
               this.page.waitForNavigation({
                 waitUntil: "networkidle0",
-                timeout: 5000,
+                timeout: this.timeouts.CONFIRM_NAVIGATION,
               }),
-              this.sleep(1500),
+              this.sleep(this.delays.AFTER_CONFIRM_CLICK),
             ]);
           } catch (err) {
             // navigation may not happen immediately; ignore here
@@ -393,7 +616,7 @@ class EcForceOrderCrawler extends BaseCrawler {
           );
         }
         // small backoff before retry
-        await this.sleep(500);
+        await this.sleep(this.delays.BETWEEN_RETRIES);
       }
     }
 
@@ -411,14 +634,27 @@ class EcForceOrderCrawler extends BaseCrawler {
     );
     logger.info(`Step 1: Logging in to EC-Force - email: ${maskedEmail}`);
 
+    const restored = await this._restoreSession();
     await this.navigateToUrl(`${this.shopUrl}/admin`);
 
     // Check if already authenticated
-    if (!(await this.elementExists(EC_FORCE_SELECTORS.login.email, 2000))) {
-      logger.info("Already authenticated, skipping login");
+    if (
+      !(await this.elementExists(
+        this.selectors.login.email,
+        this.timeouts.LOGIN_CHECK
+      ))
+    ) {
+      logger.info(
+        `Already authenticated, skipping login - sessionRestored: ${restored}`
+      );
       return;
     }
 
+    if (restored) {
+      logger.info("Saved session expired, logging in again");
+      await SessionCookieStore.clear(this.sessionKey);
+    }
+
     // Fill login form and submit
     await this.page.evaluate(
       (selectors, email, password) => {
@@ -426,14 +662,17 @@ class EcForceOrderCrawler extends BaseCrawler {
         document.querySelector(selectors.password).value = password;
         document.querySelector(selectors.submit).click();
       },
-      EC_FORCE_SELECTORS.login,
+      this.selectors.login,
       this.credentials.admin_email,
       this.credentials.admin_password
     );
 
     // Wait for navigation
     await this.page
-      .waitForNavigation({ waitUntil: "networkidle2", timeout: 5000 })
+      .waitForNavigation({
+        waitUntil: "networkidle2",
+        timeout: this.timeouts.LOGIN_NAVIGATION,
+      })
       .catch(() => {
         logger.debug("Navigation wait timeout (expected if already on page)");
       });
@@ -441,7 +680,7 @@ class EcForceOrderCrawler extends BaseCrawler {
     // Verify login success
     const hasSuccess = await this.page.evaluate(
       (text) => document.body.textContent.includes(text),
-      EC_FORCE_TEXTS.loginSuccess
+      this.texts.loginSuccess
     );
 
     if (!hasSuccess) {
@@ -454,6 +693,25 @@ class EcForceOrderCrawler extends BaseCrawler {
     }
 
     logger.info("Login successful");
+    await SessionCookieStore.save(this.sessionKey, await this.page.cookies());
+  }
+
+  /**
+   * Set saved admin session cookies on the page before the first navigation
+   * @returns {Promise<boolean>} Whether cookies were restored
+   * @private
+   */
+  async _restoreSession() {
+    const cookies = await SessionCookieStore.load(this.sessionKey);
+    if (!cookies) return false;
+
+    try {
+      await this.page.setCookie(...cookies);
+      return true;
+    } catch (error) {
+      logger.warn(`Failed to restore session cookies: ${error.message}`);
+      return false;
+    }
   }
 
   /**
@@ -471,7 +729,10 @@ class EcForceOrderCrawler extends BaseCrawler {
 
     // Verify order form loaded
     if (
-      !(await this.elementExists(EC_FORCE_SELECTORS.orderForm.addItem, 5000))
+      !(await this.elementExists(
+        this.selectors.orderForm.addItem,
+        this.timeouts.ORDER_FORM_WAIT
+      ))
     ) {
       await this.takeScreenshot("order_form_not_found.png");
       throw new CrawlerError(
@@ -488,44 +749,71 @@ class EcForceOrderCrawler extends BaseCrawler {
    * Fill order form with all required information.
    */
   async fillOrderForm() {
+    const products = this.getOrderProducts();
     logger.info(
-      `Step 3: Filling order form - product: ${
-        this.formData.product.name
-      }, shippingAddressId: ${
-        this.formData.shipping_address_id
+      `Step 3: Filling order form - products: ${products
+        .map((p) => p.name)
+        .join(", ")}, shippingAddressId: ${
+        this.formData.shipping_address_id ?? "new"
       }, hasPaymentMethod: ${!!this.formData
         .payment_method_id}, hasBillingAddress: ${!!this.formData
         .billing_address}`
     );
 
-    // Add product to cart
-    await this.addProductToOrder();
+    // Add each product; items already added by a previous attempt are skipped
+    for (const [index, product] of products.entries()) {
+      if (index < this.addedItems.length) continue;
+
+      const item = await this.addProductToOrder(product);
+      await this.verifyOrderItemAdded(product);
+      this.addedItems.push(item);
+    }
 
     // Select shipping address
     await this.selectShippingAddress();
 
     // Fill billing address if provided
-    // if (this.formData.billing_address) {
-    //   await this.fillBillingAddress();
-    // }
+    if (this.formData.billing_address) {
+      await this.fillBillingAddress();
+    }
+
+    if (this.formData.delivery_date || this.formData.delivery_time_slot) {
+      await this.selectDeliverySchedule();
+    }
+
+    if (this.formData.note) {
+      await this.fillInput(this.selectors.orderForm.note, this.formData.note);
+    }
+
+    if (this.formData.subscription) {
+      await this.fillSubscription();
+    }
 
     // Select payment method if provided
     if (this.formData.payment_method_id) {
       await this.selectPaymentMethod();
     }
 
+    // Coupon and points last: the payment method can change what applies
+    if (this.formData.coupon_code || this.formData.use_points) {
+      await this.applyDiscounts();
+    }
+
     logger.info("Order form filled successfully");
   }
 
   /**
    * Add product to order.
+   * @param {Object} product - Line item from form_data (`name`, optional `variant_id`/`sku`, `quantity`).
+   * @returns {Object} The added item (name, variant_id, sku, quantity).
+   * @throws {CrawlerError} VARIANT_NOT_FOUND listing available variants.
    */
-  async addProductToOrder() {
-    const productName = this.formData.product.name;
+  async addProductToOrder(product) {
+    const productName = product.name;
     logger.info(`Adding product to order - productName: ${productName}`);
 
     // Find and validate add item button
-    const btn = await this.page.$(EC_FORCE_SELECTORS.orderForm.addItem);
+    const btn = await this.page.$(this.selectors.orderForm.addItem);
     if (!btn) {
       throw new CrawlerError(
         "Add item button not found",
@@ -551,19 +839,21 @@ class EcForceOrderCrawler extends BaseCrawler {
     logger.debug("Add item button clicked");
 
     // Wait for modal to appear
-    await this.page.waitForSelector(EC_FORCE_SELECTORS.orderForm.modal, {
+    await this.page.waitForSelector(this.selectors.orderForm.modal, {
       visible: true,
-      timeout: 5000,
+      timeout: this.timeouts.MODAL_WAIT,
     });
 
     // Find and fill product input
     const productInput = await this.page.waitForSelector(
-      EC_FORCE_SELECTORS.orderForm.productInput,
-      { visible: true, timeout: 5000 }
+      this.selectors.orderForm.productInput,
+      { visible: true, timeout: this.timeouts.SELECTOR_WAIT }
     );
 
     await productInput.click();
-    await productInput.type(productName, { delay: 100 });
+    await productInput.type(productName, {
+      delay: this.delays.PRODUCT_TYPING_DELAY,
+    });
     await productInput.press("Tab");
     logger.debug("Product name entered");
 
@@ -573,79 +863,678 @@ class EcForceOrderCrawler extends BaseCrawler {
         const table = document.querySelector(selector);
         return table && table.innerHTML.trim() !== "";
       },
-      { timeout: 5000 },
-      EC_FORCE_SELECTORS.orderForm.variantTable
+      { timeout: this.timeouts.VARIANT_TABLE_WAIT },
+      this.selectors.orderForm.variantTable
     );
     logger.debug("Variant table loaded");
 
-    // Click add button in modal
-    await this.page.evaluate((texts) => {
-      const buttons = Array.from(
-        document.querySelectorAll('button, input[type="submit"]')
+    // Pick the requested variant row (first row when none requested)
+    const variants = await this.listVariants();
+    const variant = this.findVariant(variants, product);
+    if (!variant) {
+      const requested = [
+        product.variant_id && `variant_id: ${product.variant_id}`,
+        product.sku && `sku: ${product.sku}`,
+      ]
+        .filter(Boolean)
+        .join(", ");
+      await this.takeScreenshot("variant_not_found.png");
+      await this.page.keyboard.press("Escape");
+      throw new CrawlerError(
+        `Variant not found for product ${productName}${
+          requested ? ` (${requested})` : ""
+        } - available: ${variants.map((v) => v.label).join(" / ") || "none"}`,
+        ErrorCodes.VARIANT_NOT_FOUND,
+        422,
+        {
+          product: productName,
+          variant_id: product.variant_id,
+          sku: product.sku,
+          availableVariants: variants,
+        }
       );
-      const addBtn = buttons.find(
-        (btn) =>
-          btn.textContent.includes(texts.addButton) ||
-          btn.value?.includes(texts.addButton)
+    }
+
+    // Fill quantity and click the row's add button
+    const quantity = Number(product.quantity) || 1;
+    const outcome = await this.page.evaluate(
+      (selector, texts, rowIndex, qty) => {
+        const row = document.querySelectorAll(`${selector} tr`)[rowIndex];
+        if (!row) return "row_missing";
+
+        const qtyInput = row.querySelector(
+          'input[type="number"], input[name*="quantity"]'
+        );
+        if (qtyInput) {
+          qtyInput.value = String(qty);
+          qtyInput.dispatchEvent(new Event("input", { bubbles: true }));
+          qtyInput.dispatchEvent(new Event("change", { bubbles: true }));
+        } else if (qty > 1) {
+          return "quantity_missing";
+        }
+
+        const addBtn = Array.from(
+          row.querySelectorAll('button, input[type="submit"]')
+        ).find(
+          (btn) =>
+            btn.textContent.includes(texts.addButton) ||
+            btn.value?.includes(texts.addButton)
+        );
+        if (!addBtn) return "button_missing";
+        addBtn.click();
+        return "clicked";
+      },
+      this.selectors.orderForm.variantTable,
+      this.texts,
+      variant.index,
+      quantity
+    );
+
+    if (outcome !== "clicked") {
+      await this.takeScreenshot("add_variant_failed.png");
+      throw new CrawlerError(
+        `Failed to add variant ${variant.label}: ${outcome}`,
+        ErrorCodes.ELEMENT_NOT_FOUND,
+        500,
+        { product: productName, variant, quantity }
       );
-      if (!addBtn) {
-        throw new Error("Add button not found in modal");
-      }
-      addBtn.click();
-    }, EC_FORCE_TEXTS);
+    }
 
     // Wait for modal to close
-    await this.sleep(1000);
-    logger.info("Product added successfully");
+    await this.sleep(this.delays.AFTER_ADD_ITEM);
+    logger.info(
+      `Product added successfully - variant: ${variant.label}, quantity: ${quantity}`
+    );
+
+    return {
+      name: productName,
+      variant_id: variant.variant_id,
+      sku: variant.sku,
+      quantity,
+    };
+  }
+
+  /**
+   * List selectable rows in the modal's variant table.
+   * @returns {Array<Object>} `{ index, variant_id, sku, label }` per row with an add button.
+   */
+  async listVariants() {
+    return await this.page.evaluate(
+      (selector, addText) => {
+        const rows = Array.from(document.querySelectorAll(`${selector} tr`));
+        return rows
+          .map((row, index) => {
+            const hasAddButton = Array.from(
+              row.querySelectorAll('button, input[type="submit"]')
+            ).some(
+              (btn) =>
+                btn.textContent.includes(addText) ||
+                btn.value?.includes(addText)
+            );
+            if (!hasAddButton) return null;
+
+            const idNode = row.querySelector(
+              '[data-variant-id], input[name*="variant_id"]'
+            );
+            const skuNode = row.querySelector("[data-sku]");
+            const cells = Array.from(row.querySelectorAll("td"))
+              .map((td) => td.textContent.trim())
+              .filter((text) => text && !text.includes(addText));
+
+            return {
+              index,
+              variant_id:
+                row.dataset.variantId ||
+                idNode?.dataset?.variantId ||
+                idNode?.value ||
+                null,
+              sku: row.dataset.sku || skuNode?.dataset?.sku || null,
+              cells,
+              label: cells.join(" ").replace(/\s+/g, " "),
+            };
+          })
+          .filter(Boolean);
+      },
+      this.selectors.orderForm.variantTable,
+      this.texts.addButton
+    );
+  }
+
+  /**
+   * Match the requested variant_id / sku against the variant table rows.
+   * @param {Array<Object>} variants - Rows from listVariants().
+   * @param {Object} product - Line item from form_data.
+   * @returns {Object|null} Matching row, the first row if nothing requested, or null.
+   */
+  findVariant(variants, product) {
+    const variantId =
+      product.variant_id != null ? String(product.variant_id) : null;
+    const sku = product.sku != null ? String(product.sku) : null;
+
+    if (!variantId && !sku) return variants[0] || null;
+
+    return (
+      variants.find(
+        (v) =>
+          (variantId && v.variant_id === variantId) ||
+          (sku && (v.sku === sku || v.cells.includes(sku)))
+      ) || null
+    );
+  }
+
+  /**
+   * Verify a product appears in the order item table after adding it.
+   * @param {Object} product - Line item from form_data.
+   * @throws {CrawlerError} If the item is not listed.
+   */
+  async verifyOrderItemAdded(product) {
+    const found = await this.page
+      .waitForFunction(
+        (selector, name) => {
+          const table = document.querySelector(selector);
+          return !!table && table.textContent.includes(name);
+        },
+        { timeout: this.timeouts.ORDER_ITEM_WAIT },
+        this.selectors.orderForm.orderItemsTable,
+        product.name
+      )
+      .then(() => true)
+      .catch(() => false);
+
+    if (!found) {
+      await this.takeScreenshot("order_item_not_added.png");
+      throw new CrawlerError(
+        `Product not found in order items after adding: ${product.name}`,
+        ErrorCodes.ORDER_VALIDATION_FAILED,
+        500,
+        { product: product.name }
+      );
+    }
+
+    logger.debug(`Order item verified - productName: ${product.name}`);
   }
 
   /**
-   * Select shipping address from dropdown.
+   * Select shipping address from dropdown, or enter a new one.
    */
   async selectShippingAddress() {
+    if (this.formData.shipping_address) {
+      await this.fillNewShippingAddress();
+      return;
+    }
+
     const addressId = this.formData.shipping_address_id;
     logger.info(`Selecting shipping address - addressId: ${addressId}`);
 
     await this.selectOption(
-      EC_FORCE_SELECTORS.orderForm.shippingAddress,
+      this.selectors.orderForm.shippingAddress,
       addressId
     );
 
     logger.debug("Shipping address selected");
   }
 
+  /**
+   * Switch the shipping address dropdown to a new address and fill its fields.
+   * EC-Force saves the address to the customer when the order is completed.
+   * @throws {CrawlerError} ELEMENT_NOT_FOUND if the dropdown has no new-address option.
+   */
+  async fillNewShippingAddress() {
+    logger.info("Entering new shipping address");
+    const selector = this.selectors.orderForm.shippingAddress;
+
+    await this.waitForElement(selector);
+    const value = await this.page.evaluate(
+      (sel, text) => {
+        const option = Array.from(
+          document.querySelector(sel)?.options || []
+        ).find((opt) => opt.textContent.includes(text));
+        return option ? option.value : null;
+      },
+      selector,
+      this.texts.newShippingAddress
+    );
+
+    if (value === null) {
+      await this.takeScreenshot("new_shipping_address_option_not_found.png");
+      throw new CrawlerError(
+        "New shipping address option not found",
+        ErrorCodes.ELEMENT_NOT_FOUND,
+        500,
+        { selector, text: this.texts.newShippingAddress }
+      );
+    }
+
+    await this.selectOption(selector, value);
+    await this.fillAddress(
+      this.selectors.shippingPrefix,
+      this.formData.shipping_address,
+      "shipping"
+    );
+
+    logger.debug("New shipping address filled");
+  }
+
   /**
    * Fill billing address form.
    */
   async fillBillingAddress() {
     logger.info("Filling billing address");
-    const addr = this.formData.billing_address;
-    const prefix = EC_FORCE_SELECTORS.billingPrefix;
+    await this.fillAddress(
+      this.selectors.billingPrefix,
+      this.formData.billing_address,
+      "billing"
+    );
+    this.billingAddressApplied = true;
 
-    const fields = [
-      { name: "name", value: addr.name },
-      { name: "name01", value: addr.name01 },
-      { name: "name02", value: addr.name02 },
-      { name: "kana01", value: addr.kana01 },
-      { name: "kana02", value: addr.kana02 },
-      { name: "zip01", value: addr.zip01 },
-      { name: "zip02", value: addr.zip02 },
-      { name: "addr02", value: addr.addr02 },
-      { name: "tel01", value: addr.tel01 },
-      { name: "tel02", value: addr.tel02 },
-      { name: "tel03", value: addr.tel03 },
+    logger.debug("Billing address filled");
+  }
+
+  /**
+   * Fill the address fields under a form prefix (billing or new shipping address).
+   * Typing the zip code triggers EC-Force's address lookup, which sets the
+   * prefecture and addr01; addr02 is only typed once that has settled so the
+   * lookup cannot overwrite it. Every field is read back at the end.
+   * @param {string} prefix - Field name prefix, e.g. "order[billing_address_attributes]".
+   * @param {Object} addr - Address from form_data.
+   * @param {string} kind - "billing" or "shipping" (errors and screenshots).
+   * @throws {CrawlerError} ELEMENT_INTERACTION_FAILED if a field does not hold its value.
+   */
+  async fillAddress(prefix, addr, kind) {
+    const input = (name) => `input[name="${prefix}[${name}]"]`;
+    const prefectureSelect = `select[name="${prefix}[prefecture_id]"]`;
+
+    for (const name of ["name", "name01", "name02", "kana01", "kana02"]) {
+      await this.fillInput(input(name), addr[name]);
+    }
+
+    // Clear what the lookup sets, so the wait below sees this zip's result
+    await this.page.evaluate(
+      (selectors) => {
+        for (const sel of selectors) {
+          const el = document.querySelector(sel);
+          if (el) el.value = "";
+        }
+      },
+      [prefectureSelect, input("addr01")]
+    );
+    await this.fillInput(input("zip01"), addr.zip01);
+    await this.fillInput(input("zip02"), addr.zip02);
+    await this.waitForZipAutofill(prefectureSelect, input("addr01"));
+
+    // Explicit values win over the lookup
+    if (addr.prefecture) {
+      await this.selectPrefecture(prefectureSelect, addr.prefecture);
+    }
+    await this.fillInput(input("addr01"), addr.addr01);
+
+    for (const name of ["addr02", "tel01", "tel02", "tel03"]) {
+      await this.fillInput(input(name), addr[name]);
+    }
+
+    await this.verifyAddress(prefectureSelect, input, addr, kind);
+  }
+
+  /**
+   * Wait for the zip code lookup to set the prefecture and addr01.
+   * Shops without the lookup just time out; the values are then required from form_data.
+   * @param {string} prefectureSelect - Prefecture select selector.
+   * @param {string} addr01Input - addr01 input selector.
+   * @returns {Promise<boolean>} Whether the lookup filled both fields.
+   */
+  async waitForZipAutofill(prefectureSelect, addr01Input) {
+    try {
+      await this.page.waitForFunction(
+        (prefSel, addrSel) =>
+          !!document.querySelector(prefSel)?.value &&
+          !!document.querySelector(addrSel)?.value,
+        { timeout: this.timeouts.ZIP_AUTOFILL_WAIT },
+        prefectureSelect,
+        addr01Input
+      );
+      logger.debug("Address filled from zip code");
+      return true;
+    } catch (error) {
+      logger.warn(`Zip code autofill did not complete: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Select a prefecture by option value (JIS code) or label (e.g. "東京都").
+   * @param {string} selector - Prefecture select selector.
+   * @param {string|number} prefecture - Code or name.
+   * @throws {CrawlerError} VALIDATION_ERROR if no option matches.
+   */
+  async selectPrefecture(selector, prefecture) {
+    await this.waitForElement(selector);
+    const value = await this.page.evaluate(
+      (sel, wanted) => {
+        const option = Array.from(
+          document.querySelector(sel)?.options || []
+        ).find(
+          (opt) =>
+            opt.value &&
+            (opt.value === wanted || opt.textContent.trim() === wanted)
+        );
+        return option ? option.value : null;
+      },
+      selector,
+      String(prefecture).trim()
+    );
+
+    if (!value) {
+      await this.takeScreenshot("prefecture_not_found.png");
+      throw new CrawlerError(
+        `Prefecture not found: ${prefecture}`,
+        ErrorCodes.VALIDATION_ERROR,
+        400,
+        { prefecture }
+      );
+    }
+
+    await this.selectOption(selector, value);
+  }
+
+  /**
+   * Read every address field back and compare with form_data.
+   * The prefecture and addr01 may come from the zip lookup and then only need a value.
+   * @param {string} prefectureSelect - Prefecture select selector.
+   * @param {Function} input - Field name -> input selector.
+   * @param {Object} addr - Address from form_data.
+   * @param {string} kind - "billing" or "shipping".
+   * @throws {CrawlerError} ELEMENT_INTERACTION_FAILED listing mismatched fields.
+   */
+  async verifyAddress(prefectureSelect, input, addr, kind) {
+    const names = [
+      "name",
+      "name01",
+      "name02",
+      "kana01",
+      "kana02",
+      "zip01",
+      "zip02",
+      "addr01",
+      "addr02",
+      "tel01",
+      "tel02",
+      "tel03",
     ];
 
-    for (const field of fields) {
-      if (field.value) {
-        await this.fillInput(
-          `input[name="${prefix}[${field.name}]"]`,
-          field.value
+    const actual = await this.page.evaluate(
+      (prefSel, fields) => {
+        const select = document.querySelector(prefSel);
+        const option = select?.options[select.selectedIndex];
+        const values = {
+          prefecture: select?.value || "",
+          prefectureLabel: option?.value ? option.textContent.trim() : "",
+        };
+        for (const [name, sel] of fields) {
+          const el = document.querySelector(sel);
+          values[name] = el ? el.value : null;
+        }
+        return values;
+      },
+      prefectureSelect,
+      names.map((name) => [name, input(name)])
+    );
+
+    const mismatches = [];
+    for (const name of names) {
+      if (addr[name]) {
+        if (actual[name] !== addr[name]) {
+          mismatches.push({
+            field: name,
+            expected: addr[name],
+            actual: actual[name],
+          });
+        }
+      } else if (name === "addr01" && !actual.addr01) {
+        // Left to the zip lookup, which did not fill it
+        mismatches.push({ field: name, expected: null, actual: actual[name] });
+      }
+    }
+
+    const prefecture = addr.prefecture ? String(addr.prefecture).trim() : null;
+    const prefectureOk = prefecture
+      ? [actual.prefecture, actual.prefectureLabel].includes(prefecture)
+      : !!actual.prefecture;
+    if (!prefectureOk) {
+      mismatches.push({
+        field: "prefecture",
+        expected: prefecture,
+        actual: actual.prefectureLabel || actual.prefecture || null,
+      });
+    }
+
+    if (mismatches.length > 0) {
+      await this.takeScreenshot(`${kind}_address_mismatch.png`);
+      throw new CrawlerError(
+        `${kind[0].toUpperCase()}${kind.slice(1)} address not applied: ${mismatches
+          .map((m) => m.field)
+          .join(", ")}`,
+        ErrorCodes.ELEMENT_INTERACTION_FAILED,
+        500,
+        { mismatches }
+      );
+    }
+
+    logger.debug(`${kind} address verified`);
+  }
+
+  /**
+   * Select the scheduled delivery date and/or time slot.
+   * Only what the shop offers in the selects can be chosen.
+   * @throws {CrawlerError} DELIVERY_SCHEDULE_UNAVAILABLE listing the available dates or slots.
+   */
+  async selectDeliverySchedule() {
+    const { delivery_date: date, delivery_time_slot: timeSlot } = this.formData;
+    const { deliveryDate, deliveryTimeSlot } = this.selectors.orderForm;
+    logger.info(
+      `Selecting delivery schedule - date: ${date || "none"}, timeSlot: ${
+        timeSlot || "none"
+      }`
+    );
+    const schedule = { date: null, time_slot: null };
+
+    if (date) {
+      const dates = (await this.listSelectOptions(deliveryDate))
+        .map((option) => ({
+          ...option,
+          date: parseOptionDate(option.label) || parseOptionDate(option.value),
+        }))
+        .filter((option) => option.date);
+      const match = dates.find((option) => option.date === date);
+
+      if (!match) {
+        const available = dates.map((option) => option.date).sort();
+        const from = available[0] ?? null;
+        const to = available[available.length - 1] ?? null;
+        throw await this._scheduleUnavailable(
+          "delivery_date",
+          date,
+          available,
+          from && (date < from || date > to)
+            ? `outside the shop's range (${from} to ${to})`
+            : "not available",
+          { available_from: from, available_to: to }
         );
       }
+
+      await this.selectOption(deliveryDate, match.value);
+      schedule.date = match.date;
+      // The time slots can depend on the date
+      await this.sleep(this.delays.AFTER_DELIVERY_DATE);
     }
 
-    logger.debug("Billing address filled");
+    if (timeSlot) {
+      const slots = await this.listSelectOptions(deliveryTimeSlot);
+      const wanted = normalizeTimeSlot(timeSlot);
+      const match = slots.find(
+        (option) =>
+          normalizeTimeSlot(option.value) === wanted ||
+          normalizeTimeSlot(option.label) === wanted
+      );
+
+      if (!match) {
+        throw await this._scheduleUnavailable(
+          "delivery_time_slot",
+          timeSlot,
+          slots.map((option) => option.label),
+          "not available"
+        );
+      }
+
+      await this.selectOption(deliveryTimeSlot, match.value);
+      schedule.time_slot = match.label;
+    }
+
+    this.deliverySchedule = schedule;
+    logger.debug("Delivery schedule selected");
+  }
+
+  /**
+   * Options of a select, without the blank placeholder.
+   * @param {string} selector - Select selector.
+   * @returns {Promise<Array<{value: string, label: string}>>}
+   */
+  async listSelectOptions(selector) {
+    await this.waitForElement(selector, {
+      timeout: this.timeouts.SELECTOR_WAIT,
+    });
+    return await this.page.evaluate(
+      (sel) =>
+        Array.from(document.querySelector(sel)?.options || [])
+          .filter((opt) => opt.value)
+          .map((opt) => ({ value: opt.value, label: opt.textContent.trim() })),
+      selector
+    );
+  }
+
+  /**
+   * @private
+   */
+  async _scheduleUnavailable(field, requested, available, reason, extra = {}) {
+    await this.takeScreenshot(`${field}_unavailable.png`);
+    return new CrawlerError(
+      `${field} ${requested} is ${reason} - available: ${
+        available.join(" / ") || "none"
+      }`,
+      ErrorCodes.DELIVERY_SCHEDULE_UNAVAILABLE,
+      422,
+      { field, requested, available, ...extra }
+    );
+  }
+
+  /**
+   * Fill the subscription (定期) settings: cycle type, interval and next delivery date.
+   * @throws {CrawlerError} ELEMENT_INTERACTION_FAILED if a setting does not hold its value.
+   */
+  async fillSubscription() {
+    const {
+      cycle_type: cycleType,
+      interval,
+      next_delivery_date: nextDeliveryDate,
+    } = this.formData.subscription;
+    const selectors = this.selectors.subscription;
+    logger.info(
+      `Filling subscription - cycleType: ${cycleType}, interval: ${interval}, nextDeliveryDate: ${
+        nextDeliveryDate || "default"
+      }`
+    );
+
+    // Option value, or label such as "ヶ月ごと"
+    const cycleText = this.texts.subscriptionCycleTypes[cycleType];
+    const cycleOptions = await this.listSelectOptions(selectors.cycleType);
+    const cycleOption = cycleOptions.find(
+      (option) => option.value === cycleType || option.label.includes(cycleText)
+    );
+    if (!cycleOption) {
+      await this.takeScreenshot("subscription_cycle_not_found.png");
+      throw new CrawlerError(
+        `Subscription cycle type not found: ${cycleType}`,
+        ErrorCodes.ELEMENT_NOT_FOUND,
+        500,
+        { cycle_type: cycleType, text: cycleText }
+      );
+    }
+    await this.selectOption(selectors.cycleType, cycleOption.value);
+
+    // The interval field of the chosen cycle type is shown once it is selected
+    await this.setFieldValue(selectors.interval[cycleType], String(interval));
+    if (nextDeliveryDate) {
+      await this.setFieldValue(selectors.nextDeliveryDate, nextDeliveryDate);
+    }
+
+    this.subscriptionApplied = {
+      cycle_type: cycleType,
+      interval: Number(interval),
+      next_delivery_date: nextDeliveryDate || null,
+    };
+    logger.debug("Subscription filled");
+  }
+
+  /**
+   * Set a form field that may be a select, a date input or a text input.
+   * Selects match an option value, or for dates the date in its label.
+   * @param {string} selector - Field selector.
+   * @param {string} value - Value, dates as YYYY-MM-DD.
+   * @throws {CrawlerError} ELEMENT_INTERACTION_FAILED if the field does not take the value.
+   */
+  async setFieldValue(selector, value) {
+    await this.waitForElement(selector, {
+      timeout: this.timeouts.SELECTOR_WAIT,
+    });
+    const kind = await this.page.evaluate((sel) => {
+      const el = document.querySelector(sel);
+      return el.tagName === "SELECT" ? "select" : el.type;
+    }, selector);
+
+    if (kind !== "select" && kind !== "date") {
+      await this.fillInput(selector, value);
+      return;
+    }
+
+    let target = value;
+    if (kind === "select") {
+      const option = (await this.listSelectOptions(selector)).find(
+        (opt) =>
+          opt.value === value ||
+          opt.label === value ||
+          parseOptionDate(opt.label) === value
+      );
+      if (option) target = option.value;
+      await this.selectOption(selector, target);
+    } else {
+      // Typing into a date input depends on the browser locale
+      await this.page.evaluate(
+        (sel, val) => {
+          const el = document.querySelector(sel);
+          el.value = val;
+          el.dispatchEvent(new Event("input", { bubbles: true }));
+          el.dispatchEvent(new Event("change", { bubbles: true }));
+        },
+        selector,
+        target
+      );
+    }
+
+    const actual = await this.page.evaluate(
+      (sel) => document.querySelector(sel)?.value,
+      selector
+    );
+    if (actual !== target) {
+      await this.takeScreenshot(
+        `set_failed_${selector.replace(/[^a-zA-Z0-9]/g, "_")}.png`
+      );
+      throw new CrawlerError(
+        `Failed to set ${selector}`,
+        ErrorCodes.ELEMENT_INTERACTION_FAILED,
+        500,
+        { selector, value, actual }
+      );
+    }
+    logger.debug(`Field set: ${selector} = ${value}`);
   }
 
   /**
@@ -659,19 +1548,23 @@ class EcForceOrderCrawler extends BaseCrawler {
 
     // Select payment method
     await this.selectOption(
-      EC_FORCE_SELECTORS.orderForm.paymentMethod,
+      this.selectors.orderForm.paymentMethod,
       paymentMethodId
     );
 
     // If credit card and credit_card_id provided, select the card
     if (this.formData.credit_card_id) {
-      await this.sleep(500); // Wait for credit card dropdown to appear
+      // Wait for credit card dropdown to appear
+      await this.sleep(this.delays.AFTER_PAYMENT_METHOD);
 
       if (
-        await this.elementExists(EC_FORCE_SELECTORS.orderForm.creditCard, 2000)
+        await this.elementExists(
+          this.selectors.orderForm.creditCard,
+          this.timeouts.CREDIT_CARD_WAIT
+        )
       ) {
         await this.selectOption(
-          EC_FORCE_SELECTORS.orderForm.creditCard,
+          this.selectors.orderForm.creditCard,
           this.formData.credit_card_id
         );
         logger.debug("Credit card selected");
@@ -682,8 +1575,316 @@ class EcForceOrderCrawler extends BaseCrawler {
   }
 
   /**
-   * Submit order form for review.
+   * Enter the coupon code and/or points and have EC-Force recalculate the order.
+   * Rejections show up as an alert, an error next to the field, or EC-Force
+   * changing the value (e.g. points capped to the customer's balance).
+   * @throws {CrawlerError} DISCOUNT_REJECTED with EC-Force's message.
+   */
+  async applyDiscounts() {
+    const { coupon_code: couponCode, use_points: usePoints } = this.formData;
+    logger.info(
+      `Applying discounts - couponCode: ${couponCode || "none"}, usePoints: ${
+        usePoints || 0
+      }`
+    );
+
+    const fields = [
+      {
+        field: "coupon_code",
+        selector: this.selectors.orderForm.couponCode,
+        value: couponCode,
+      },
+      {
+        field: "use_points",
+        selector: this.selectors.orderForm.usePoints,
+        value: usePoints ? String(usePoints) : null,
+      },
+    ].filter(({ value }) => value);
+
+    for (const { selector, value } of fields) {
+      await this.fillInput(selector, value);
+    }
+
+    await this.recalculateOrder();
+
+    const { alert, results } = await this.page.evaluate(
+      (alertSel, errorSel, selectors) => {
+        const text = (el) =>
+          (el?.textContent || "").replace(/\s+/g, " ").trim();
+        return {
+          alert: text(document.querySelector(alertSel)) || null,
+          results: selectors.map((sel) => {
+            const input = document.querySelector(sel);
+            const group =
+              input?.closest(".form-group, td, li") || input?.parentElement;
+            return {
+              value: input ? input.value : null,
+              error: text(group?.querySelector(errorSel)) || null,
+            };
+          }),
+        };
+      },
+      this.selectors.orderForm.errorAlert,
+      this.selectors.orderForm.fieldError,
+      fields.map(({ selector }) => selector)
+    );
+
+    const rejected = fields
+      .map((field, i) => ({
+        ...field,
+        actual: results[i].value,
+        error: results[i].error,
+      }))
+      .find(({ value, actual, error }) => error || actual !== value);
+
+    if (rejected || alert) {
+      const message =
+        rejected?.error ||
+        alert ||
+        `${rejected.field} changed to "${rejected.actual ?? ""}"`;
+      await this.takeScreenshot("discount_rejected.png");
+      throw new CrawlerError(
+        `Discount rejected: ${message}`,
+        ErrorCodes.DISCOUNT_REJECTED,
+        422,
+        {
+          // Unknown when both were sent and only the alert says why
+          field:
+            rejected?.field ?? (fields.length === 1 ? fields[0].field : null),
+          coupon_code: couponCode ?? null,
+          use_points: usePoints ?? null,
+          message,
+        }
+      );
+    }
+
+    logger.debug("Discounts accepted");
+  }
+
+  /**
+   * Click the order form's recalculate button and wait for EC-Force to answer.
+   * @throws {CrawlerError} ELEMENT_NOT_FOUND if there is no recalculate button.
+   */
+  async recalculateOrder() {
+    const clicked = await this.page.evaluate(
+      (selector, text) => {
+        const button = Array.from(document.querySelectorAll(selector)).find(
+          (btn) => btn.textContent.includes(text) || btn.value?.includes(text)
+        );
+        if (!button) return false;
+        button.click();
+        return true;
+      },
+      this.selectors.orderForm.recalculate,
+      this.texts.recalculate
+    );
+
+    if (!clicked) {
+      await this.takeScreenshot("recalculate_not_found.png");
+      throw new CrawlerError(
+        "Recalculate button not found",
+        ErrorCodes.ELEMENT_NOT_FOUND,
+        500,
+        { text: this.texts.recalculate }
+      );
+    }
+
+    try {
+      await this.page.waitForNetworkIdle({
+        timeout: this.timeouts.RECALCULATE_WAIT,
+      });
+    } catch (error) {
+      logger.warn(`Recalculation still running: ${error.message}`);
+    }
+  }
+
+  /**
+   * Scrape the confirmation page for a dry-run preview (without placing the order).
+   */
+  async extractConfirmationDetails() {
+    logger.info("Step 5: Extracting confirmation details (dry run)");
+
+    await this.takeScreenshot("dry_run_confirmation.png");
+    const { lineItems, summary } = await this.readConfirmationPage();
+
+    if (summary.total === null) {
+      logger.warn("Dry run: total not found on confirmation page");
+    }
+
+    this.orderResult = {
+      dry_run: true,
+      items: this.addedItems,
+      billing_address_applied: this.billingAddressApplied,
+      discount: this.appliedDiscount,
+      delivery: this.deliverySchedule,
+      subscription: this.subscriptionApplied,
+      preview: {
+        line_items: lineItems,
+        ...summary,
+      },
+      customer_ext_id: this.customer.ext_id,
+      customer_id: this.customer.id,
+      account_id: this.account.id,
+      previewed_at: new Date().toISOString(),
+    };
+
+    logger.info(
+      `Confirmation details extracted - total: ${summary.total}, items: ${lineItems.length}`
+    );
+  }
+
+  /**
+   * Line items and price summary shown on the confirmation page.
+   * @returns {Promise<{lineItems: Array<Object>, summary: Object}>}
+   */
+  async readConfirmationPage() {
+    const { groups, items } = await this.page.evaluate((itemHeaders) => {
+      const text = (el) =>
+        (el?.textContent || "").replace(/\s+/g, " ").trim();
+
+      // Line item table: the one whose header mentions product and quantity
+      const tables = Array.from(document.querySelectorAll("table"));
+      const itemTable = tables.find((table) => {
+        const head = text(table.querySelector("thead") || table.rows[0]);
+        return (
+          head.includes(itemHeaders.name) &&
+          head.includes(itemHeaders.quantity)
+        );
+      });
+
+      // Label/value rows (th + td, or dt + dd), grouped by table/list
+      const groups = [];
+      tables
+        .filter((table) => table !== itemTable)
+        .forEach((table) => {
+          const rows = [];
+          Array.from(table.rows).forEach((tr) => {
+            const th = tr.querySelector("th");
+            const td = tr.querySelector("td");
+            if (th && td) rows.push({ label: text(th), value: text(td) });
+          });
+          if (rows.length > 0) groups.push(rows);
+        });
+      document.querySelectorAll("dl").forEach((dl) => {
+        const rows = [];
+        Array.from(dl.children).forEach((dt) => {
+          const dd = dt.nextElementSibling;
+          if (dt.tagName === "DT" && dd?.tagName === "DD") {
+            rows.push({ label: text(dt), value: text(dd) });
+          }
+        });
+        if (rows.length > 0) groups.push(rows);
+      });
+
+      const items = [];
+      if (itemTable) {
+        const headerRow =
+          itemTable.querySelector("thead tr") || itemTable.rows[0];
+        const headers = Array.from(headerRow.cells).map(text);
+        Array.from(itemTable.querySelectorAll("tbody tr"))
+          .filter(
+            (tr) => tr !== headerRow && tr.querySelectorAll("td").length > 0
+          )
+          .forEach((tr) => {
+            const cells = Array.from(tr.querySelectorAll("td")).map(text);
+            const item = {};
+            headers.forEach((header, i) => {
+              item[header] = cells[i];
+            });
+            items.push(item);
+          });
+      }
+
+      return { groups, items };
+    }, this.texts.itemHeaders);
+
+    const labels = this.texts.confirmLabels;
+    const matches = (label, key) =>
+      labels[key].some((keyword) => label.includes(keyword));
+
+    // Only the totals table is read: rows elsewhere on the page (points
+    // balance, points to be earned...) must not end up in the summary
+    const hasRow = (rows, key) => rows.some(({ label }) => matches(label, key));
+    const rows =
+      groups.find((g) => hasRow(g, "total") && hasRow(g, "subtotal")) ||
+      groups.find((g) => hasRow(g, "total")) ||
+      [];
+
+    // Map labelled rows onto summary fields
+    const summary = {
+      subtotal: null,
+      shipping_fee: null,
+      fee: null,
+      tax: null,
+      discounts: [],
+      total: null,
+      payment_method: null,
+    };
+    const fieldNames = {
+      subtotal: "subtotal",
+      shippingFee: "shipping_fee",
+      fee: "fee",
+      tax: "tax",
+      total: "total",
+    };
+    for (const { label, value } of rows) {
+      const key = Object.keys(labels).find((k) => matches(label, k));
+      if (!key) continue;
+
+      if (key === "discount") {
+        summary.discounts.push({ label, amount: parseAmount(value) });
+      } else if (key !== "paymentMethod" && summary[fieldNames[key]] === null) {
+        summary[fieldNames[key]] = parseAmount(value);
+      }
+    }
+
+    // The payment method is text, often in its own table
+    const paymentRow = groups
+      .flat()
+      .find(({ label }) => matches(label, "paymentMethod"));
+    summary.payment_method = paymentRow ? paymentRow.value : null;
+
+    const headers = this.texts.itemHeaders;
+    const lineItems = items.map((item) => {
+      const find = (keyword) =>
+        Object.keys(item).find((header) => header.includes(keyword));
+      return {
+        name: item[find(headers.name)] || null,
+        quantity: parseAmount(item[find(headers.quantity)]),
+        unit_price: parseAmount(item[find(headers.price)]),
+        subtotal: parseAmount(item[find(headers.subtotal)]),
+      };
+    });
+
+    return { lineItems, summary };
+  }
+
+  /**
+   * Record the discount rows EC-Force shows for the requested coupon/points.
+   * A coupon can be valid without a discount row (e.g. free shipping).
    */
+  async readAppliedDiscount() {
+    const { summary } = await this.readConfirmationPage();
+    const amount = summary.discounts.reduce(
+      (sum, { amount: value }) => sum + Math.abs(value || 0),
+      0
+    );
+
+    this.appliedDiscount = {
+      coupon_code: this.formData.coupon_code || null,
+      use_points: this.formData.use_points
+        ? Number(this.formData.use_points)
+        : null,
+      discounts: summary.discounts,
+      amount,
+    };
+
+    if (summary.discounts.length === 0) {
+      logger.warn("No discount shown on confirmation page");
+    }
+    logger.info(`Applied discount - amount: ${amount}`);
+  }
+
   /**
    * Extract order details from success page.
    */
@@ -695,13 +1896,13 @@ class EcForceOrderCrawler extends BaseCrawler {
     // Verify we're on success page
     if (
       !(await this.elementExists(
-        EC_FORCE_SELECTORS.orderForm.performViewTd,
-        5000
+        this.selectors.orderForm.performViewTd,
+        this.timeouts.SUCCESS_PAGE_WAIT
       ))
     ) {
       const errorMsg = await this.page.evaluate(
         (sel) => document.querySelector(sel)?.textContent.trim(),
-        EC_FORCE_SELECTORS.orderForm.errorAlert
+        this.selectors.orderForm.errorAlert
       );
 
       await this.takeScreenshot("extract_failed.png");
@@ -717,7 +1918,7 @@ class EcForceOrderCrawler extends BaseCrawler {
 
     // Extract order summary from table
     const tdTexts = await this.page.$$eval(
-      EC_FORCE_SELECTORS.orderForm.performViewTd,
+      this.selectors.orderForm.performViewTd,
       (tds) => tds.map((td) => td.textContent.trim())
     );
 
@@ -750,7 +1951,7 @@ class EcForceOrderCrawler extends BaseCrawler {
     }
 
     // Navigate to order detail page
-    await this.clickElement(EC_FORCE_SELECTORS.orderForm.orderLink);
+    await this.clickElement(this.selectors.orderForm.orderLink);
     await this.page.waitForNavigation({
       waitUntil: "networkidle0",
       timeout: this.options.timeout,
@@ -772,12 +1973,32 @@ class EcForceOrderCrawler extends BaseCrawler {
       logger.warn("Order ID not found on detail page");
     }
 
+    const shippingAddressId = await this.resolveShippingAddressId(orderId);
+
+    // Subscription created with the order (requested or the product's default)
+    const subsOrderId = await this.page.evaluate((sel) => {
+      const href = document.querySelector(sel)?.getAttribute("href") || "";
+      return href.match(/subs_orders\/(\d+)/)?.[1] || null;
+    }, this.selectors.subscription.subsOrderLink);
+
+    if (this.formData.subscription && !subsOrderId) {
+      logger.warn("Subscription order not found on detail page");
+    }
+
     // Build result object
     this.orderResult = {
       order_id: orderId,
       order_number: orderNumber,
       customer_number: customerNumber,
       total_amount: total,
+      items: this.addedItems,
+      shipping_address_id: shippingAddressId,
+      shipping_address_created: !!this.formData.shipping_address,
+      billing_address_applied: this.billingAddressApplied,
+      discount: this.appliedDiscount,
+      delivery: this.deliverySchedule,
+      subscription: this.subscriptionApplied,
+      subs_order_id: subsOrderId,
       customer_ext_id: this.customer.ext_id,
       customer_id: this.customer.id,
       account_id: this.account.id,
@@ -786,8 +2007,64 @@ class EcForceOrderCrawler extends BaseCrawler {
     };
 
     logger.info(
-      `Order details extracted successfully - orderId: ${orderId}, orderNumber: ${orderNumber}, orderUrl: ${this.page.url()}`
+      `Order details extracted successfully - orderId: ${orderId}, orderNumber: ${orderNumber}, subsOrderId: ${subsOrderId}, orderUrl: ${this.page.url()}`
     );
   }
+
+  /**
+   * Id of the order's shipping address.
+   * A new address only gets its id once the order exists, so it is read
+   * back from the admin API; the order is placed either way, so a failed
+   * lookup only leaves the id null.
+   * @param {string|null} orderId - EC-Force order id.
+   * @returns {Promise<string|null>}
+   */
+  async resolveShippingAddressId(orderId) {
+    if (!this.formData.shipping_address) {
+      return String(this.formData.shipping_address_id);
+    }
+    if (!orderId) return null;
+
+    try {
+      const order = await OrderLookupService.getOrder(this.account, orderId);
+      const addressId = order.shipping.address?.id ?? null;
+      if (!addressId) {
+        logger.warn(`Shipping address missing on order ${orderId}`);
+      }
+      return addressId;
+    } catch (error) {
+      logger.warn(
+        `Could not resolve created shipping address - orderId: ${orderId}, error: ${error.message}`
+      );
+      return null;
+    }
+  }
 }
+
+// Platform registration (see crawler/registry.js)
+EcForceOrderCrawler.platform = "ecforce";
+EcForceOrderCrawler.credentialsKey = "ec_force_info";
+EcForceOrderCrawler.credentialSchema = Joi.object({
+  shop_url: Joi.string()
+    .uri({ scheme: ["http", "https"] })
+    .required(),
+  email: Joi.string().required(),
+  password: Joi.string().required(),
+  token: Joi.string().allow(null, ""),
+  order_strategy: Joi.string().valid("browser", "api"),
+  selector_pack: Joi.string(),
+  selectors: Joi.object(),
+  texts: Joi.object(),
+  timeouts: timeoutsSchema,
+})
+  .custom((ecForceInfo, helpers) => {
+    try {
+      selectorPacks.resolve(ecForceInfo.selector_pack, ecForceInfo);
+    } catch (error) {
+      return helpers.error("any.custom", { error });
+    }
+    return ecForceInfo;
+  })
+  .required();
+
 module.exports = EcForceOrderCrawler;
@@ -0,0 +1,140 @@
+/**
+ * Admin session cookies shared across crawler runs
+ * Saved after a successful login and restored before the next run for the
+ * same shop and admin user, so most orders skip the login form (and the
+ * login notification EC-Force sends the merchant).
+ *
+ * Cookies are encrypted with AES-256-GCM using `CRAWLER_SESSION_SECRET` and
+ * stored in Redis under `session:<platform>:<host>:<user hash>` with a TTL.
+ * Without a secret the store is disabled; without Redis it falls back to an
+ * in-memory map (single pod only).
+ */
+
+const crypto = require("crypto");
+const config = require("../../config");
+const logger = require("../../utils/logger");
+const { getRedisClient } = require("../../utils/redis");
+const { encrypt, decrypt } = require("../../utils/encryption");
+
+// Local fallback when Redis is unavailable
+const localSessions = new Map();
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest();
+
+class SessionCookieStore {
+  /**
+   * Whether session reuse is configured
+   * @returns {boolean}
+   */
+  static isEnabled() {
+    return config.crawlerSession.enabled && !!config.crawlerSession.secret;
+  }
+
+  /**
+   * Storage key for a shop admin user
+   * The email is hashed so it never appears in Redis key listings.
+   * @param {string} platform - Crawler platform (e.g. "ecforce")
+   * @param {string} shopUrl - Shop admin URL
+   * @param {string} email - Admin login
+   * @returns {string}
+   */
+  static sessionKey(platform, shopUrl, email) {
+    const host = new URL(shopUrl).host.toLowerCase();
+    const user = sha256(String(email).toLowerCase())
+      .toString("hex")
+      .slice(0, 16);
+    return `session:${platform}:${host}:${user}`;
+  }
+
+  /**
+   * Load saved cookies
+   * @param {string} key - From sessionKey()
+   * @returns {Promise<Array<Object>|null>} Puppeteer cookies, or null
+   */
+  static async load(key) {
+    if (!SessionCookieStore.isEnabled()) return null;
+
+    try {
+      const redis = getRedisClient();
+      const payload = redis
+        ? await redis.get(key)
+        : SessionCookieStore._getLocal(key);
+      if (!payload) return null;
+
+      return JSON.parse(decrypt(payload, config.crawlerSession.secret));
+    } catch (error) {
+      // Unreadable (e.g. secret rotated): drop it and log in again
+      logger.warn("Failed to load session cookies", {
+        key,
+        error: error.message,
+      });
+      await SessionCookieStore.clear(key);
+      return null;
+    }
+  }
+
+  /**
+   * Save cookies after a successful login
+   * @param {string} key - From sessionKey()
+   * @param {Array<Object>} cookies - Puppeteer cookies
+   */
+  static async save(key, cookies) {
+    if (!SessionCookieStore.isEnabled() || !cookies?.length) return;
+
+    const ttl = config.crawlerSession.ttlSeconds;
+    try {
+      const payload = encrypt(
+        JSON.stringify(cookies),
+        config.crawlerSession.secret
+      );
+      const redis = getRedisClient();
+      if (redis) {
+        await redis.set(key, payload, "EX", ttl);
+      } else {
+        localSessions.set(key, {
+          payload,
+          expiresAt: Date.now() + ttl * 1000,
+        });
+      }
+      logger.debug(`Session cookies saved - cookies: ${cookies.length}`);
+    } catch (error) {
+      logger.warn("Failed to save session cookies", {
+        key,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Forget a session that no longer authenticates
+   * @param {string} key - From sessionKey()
+   */
+  static async clear(key) {
+    localSessions.delete(key);
+
+    try {
+      const redis = getRedisClient();
+      if (redis) await redis.del(key);
+    } catch (error) {
+      logger.warn("Failed to clear session cookies", {
+        key,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * @private
+   */
+  static _getLocal(key) {
+    const entry = localSessions.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt < Date.now()) {
+      localSessions.delete(key);
+      return null;
+    }
+    return entry.payload;
+  }
+}
+
+module.exports = SessionCookieStore;
@@ -0,0 +1,118 @@
+/**
+ * Platform crawler registry
+ * Maps `account.options.platform` to the crawler that places orders on that
+ * cart, so new platforms plug in without touching controllers or services.
+ *
+ * A platform crawler extends BaseCrawler and declares:
+ * - static platform: registry key (e.g. "ecforce")
+ * - static credentialsKey: where its settings live in account.options
+ * - static credentialSchema: Joi schema for those settings
+ * - execute(): resolves to { success, data, executionTime }, `data` using the
+ *   common order result fields (order_id, order_number, total_amount, items...)
+ *
+ * Selectors and page texts stay private to each crawler module.
+ */
+
+const { CrawlerError, ErrorCodes } = require("../../middleware/errorHandler");
+const EcForceOrderCrawler = require("./EcForceOrderCrawler");
+const ApiOrderService = require("../order/ApiOrderService");
+const OrderLoggerService = require("../order/OrderLoggerService");
+
+const DEFAULT_PLATFORM = "ecforce";
+
+const platforms = new Map();
+
+/**
+ * Register a platform crawler
+ * @param {Function} Crawler - BaseCrawler subclass with the static declarations above
+ * @param {Object} [options]
+ * @param {Object} [options.apiOrderService] - Creates orders without a browser
+ *   (`createOrder()` throwing ORDER_API_UNSUPPORTED to fall back to the crawler)
+ * @param {Function} [options.logOrderParams] - (account, customer, orderId) => Promise,
+ *   logs the created order's platform-side details
+ */
+function registerPlatform(
+  Crawler,
+  { apiOrderService = null, logOrderParams = null } = {}
+) {
+  const { platform, credentialsKey, credentialSchema } = Crawler;
+  if (!platform || !credentialsKey || !credentialSchema) {
+    throw new Error(
+      `${Crawler.name} must declare static platform, credentialsKey and credentialSchema`
+    );
+  }
+  platforms.set(platform, { Crawler, apiOrderService, logOrderParams });
+}
+
+/**
+ * Platform name of an account (EC-Force when not set)
+ * @param {Object} account - Parsed account object
+ * @returns {string}
+ */
+function getPlatformName(account) {
+  return account?.options?.platform || DEFAULT_PLATFORM;
+}
+
+/**
+ * Resolve an account's platform and validate its credentials
+ * @param {Object} account - Parsed account object
+ * @returns {{Crawler: Function, apiOrderService: Object|null, logOrderParams: Function|null}}
+ * @throws {CrawlerError} UNSUPPORTED_PLATFORM or VALIDATION_ERROR
+ */
+function resolvePlatform(account) {
+  const name = getPlatformName(account);
+  const entry = platforms.get(name);
+
+  if (!entry) {
+    throw new CrawlerError(
+      `Unsupported platform: ${name}`,
+      ErrorCodes.UNSUPPORTED_PLATFORM,
+      400,
+      { platform: name, supported: listPlatforms() }
+    );
+  }
+
+  const { Crawler } = entry;
+  const { error } = Crawler.credentialSchema.validate(
+    account?.options?.[Crawler.credentialsKey],
+    { abortEarly: false, allowUnknown: true }
+  );
+
+  if (error) {
+    throw new CrawlerError(
+      `Invalid ${name} credentials in account.options.${Crawler.credentialsKey}`,
+      ErrorCodes.VALIDATION_ERROR,
+      400,
+      {
+        errors: error.details.map((d) => ({
+          field: [`options.${Crawler.credentialsKey}`, ...d.path].join("."),
+          message: d.message,
+        })),
+      }
+    );
+  }
+
+  return entry;
+}
+
+/**
+ * Registered platform names
+ * @returns {Array<string>}
+ */
+function listPlatforms() {
+  return Array.from(platforms.keys());
+}
+
+// Built-in platforms
+registerPlatform(EcForceOrderCrawler, {
+  apiOrderService: ApiOrderService,
+  logOrderParams: OrderLoggerService.logOrderParams,
+});
+
+module.exports = {
+  DEFAULT_PLATFORM,
+  registerPlatform,
+  getPlatformName,
+  resolvePlatform,
+  listPlatforms,
+};
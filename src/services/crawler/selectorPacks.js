@@ -0,0 +1,234 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../../utils/logger");
+
+/**
+ * Versioned selector/text packs for a crawler
+ *
+ * A pack is a JSON file:
+ *   { "name": "english", "version": 2, "extends": "default",
+ *     "selectors": { ... }, "texts": { ... } }
+ *
+ * `extends` (a pack reference) lets a pack list only what it changes.
+ * References are "name" (highest version) or "name@version". Every resolved
+ * pack, with its parents and any per-account overrides merged in, must pass
+ * the crawler's schema.
+ */
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Deep merge plain objects; arrays and scalars from `override` replace
+ * @param {Object} base
+ * @param {Object} [override]
+ * @returns {Object}
+ */
+function mergePack(base, override) {
+  if (!isPlainObject(override)) return base;
+
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    if (value === undefined) continue;
+    merged[key] =
+      isPlainObject(value) && isPlainObject(base[key])
+        ? mergePack(base[key], value)
+        : value;
+  }
+  return merged;
+}
+
+/**
+ * Split a pack reference into name and version
+ * @param {string} ref - "name" or "name@version"
+ * @returns {{name: string, version: number|null}}
+ */
+function parsePackRef(ref) {
+  const [name, version] = String(ref).split("@");
+  return {
+    name,
+    version: version === undefined ? null : parseInt(version, 10),
+  };
+}
+
+class SelectorPacks {
+  /**
+   * @param {Object} options
+   * @param {string} options.platform - Crawler platform, used in messages
+   * @param {Object} options.schema - Joi schema of { selectors, texts }
+   * @param {Array<string>} options.dirs - Directories of *.json packs, later ones win
+   * @param {string} [options.defaultPack] - Pack used when an account names none
+   */
+  constructor({ platform, schema, dirs, defaultPack = "default" }) {
+    this.platform = platform;
+    this.schema = schema;
+    this.dirs = dirs.filter(Boolean);
+    this.defaultPack = defaultPack;
+    // name -> Map(version -> raw pack)
+    this.packs = new Map();
+  }
+
+  /**
+   * Read and validate every pack
+   * @returns {SelectorPacks}
+   * @throws {Error} Listing every invalid pack, so a bad deploy fails at startup
+   */
+  load() {
+    this.packs.clear();
+
+    for (const dir of this.dirs) {
+      if (!fs.existsSync(dir)) {
+        throw new Error(
+          `${this.platform} selector pack directory not found: ${dir}`
+        );
+      }
+
+      const files = fs
+        .readdirSync(dir)
+        .filter((file) => file.endsWith(".json"))
+        .sort();
+
+      for (const file of files) {
+        this._add(this._read(path.join(dir, file)));
+      }
+    }
+
+    const problems = [];
+    for (const ref of this.list()) {
+      try {
+        this.resolve(ref);
+      } catch (error) {
+        problems.push(error.message);
+      }
+    }
+    if (!this._find(this.defaultPack)) {
+      problems.push(`default pack "${this.defaultPack}" is missing`);
+    }
+
+    if (problems.length > 0) {
+      throw new Error(
+        `Invalid ${this.platform} selector packs:\n- ${problems.join("\n- ")}`
+      );
+    }
+
+    logger.info(
+      `Loaded ${this.platform} selector packs: ${this.list().join(", ")}`
+    );
+    return this;
+  }
+
+  /**
+   * Resolve a pack with per-account overrides
+   * @param {string} [ref] - Pack reference, defaults to the default pack
+   * @param {Object} [overrides] - Partial { selectors, texts }
+   * @returns {{id: string, selectors: Object, texts: Object}}
+   * @throws {Error} Unknown pack or invalid result
+   */
+  resolve(ref = this.defaultPack, overrides = {}) {
+    const { id, pack } = this._build(ref, []);
+    const merged = mergePack(pack, {
+      selectors: overrides.selectors,
+      texts: overrides.texts,
+    });
+
+    const { error, value } = this.schema.validate(merged, {
+      abortEarly: false,
+    });
+    if (error) {
+      throw new Error(
+        `${this.platform} selector pack ${id}: ${error.details
+          .map((d) => d.message)
+          .join(", ")}`
+      );
+    }
+
+    return { id, selectors: value.selectors, texts: value.texts };
+  }
+
+  /**
+   * Loaded pack references ("name@version")
+   * @returns {Array<string>}
+   */
+  list() {
+    return Array.from(this.packs.entries()).flatMap(([name, versions]) =>
+      Array.from(versions.keys())
+        .sort((a, b) => a - b)
+        .map((version) => `${name}@${version}`)
+    );
+  }
+
+  /**
+   * Pack with its parents merged in
+   * @private
+   */
+  _build(ref, seen) {
+    const found = this._find(ref);
+    if (!found) {
+      throw new Error(`${this.platform} selector pack not found: ${ref}`);
+    }
+
+    const id = `${found.name}@${found.version}`;
+    if (seen.includes(id)) {
+      throw new Error(
+        `${this.platform} selector pack ${id}: circular extends (${[...seen, id].join(" -> ")})`
+      );
+    }
+
+    const own = { selectors: found.selectors, texts: found.texts };
+    if (!found.extends) return { id, pack: own };
+
+    const parent = this._build(found.extends, [...seen, id]);
+    return { id, pack: mergePack(parent.pack, own) };
+  }
+
+  /**
+   * @private
+   */
+  _find(ref) {
+    const { name, version } = parsePackRef(ref);
+    const versions = this.packs.get(name);
+    if (!versions) return null;
+    if (version !== null) return versions.get(version) || null;
+    return versions.get(Math.max(...versions.keys()));
+  }
+
+  /**
+   * @private
+   */
+  _read(file) {
+    let pack;
+    try {
+      pack = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+      throw new Error(`Cannot read selector pack ${file}: ${error.message}`);
+    }
+
+    if (
+      !isPlainObject(pack) ||
+      typeof pack.name !== "string" ||
+      !/^[\w-]+$/.test(pack.name) ||
+      !Number.isInteger(pack.version) ||
+      pack.version < 1
+    ) {
+      throw new Error(
+        `Selector pack ${file} needs a "name" (letters, digits, - or _) and an integer "version" >= 1`
+      );
+    }
+
+    return pack;
+  }
+
+  /**
+   * @private
+   */
+  _add(pack) {
+    if (!this.packs.has(pack.name)) this.packs.set(pack.name, new Map());
+    this.packs.get(pack.name).set(pack.version, pack);
+  }
+}
+
+module.exports = {
+  SelectorPacks,
+  mergePack,
+  parsePackRef,
+};
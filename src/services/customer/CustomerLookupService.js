@@ -0,0 +1,145 @@
+const logger = require("../../utils/logger");
+const GetCustomersService = require("../ecforce/GetCustomersService");
+const { toCrawlerError } = require("../ecforce/errors");
+const {
+  toNumber,
+  pick,
+  findIncluded,
+  findIncludedMany,
+  relationship,
+  normalizeAddress,
+} = require("../ecforce/jsonApi");
+
+// API filters -> EC-Force ransack search params
+const FILTER_PARAMS = {
+  email: "q[email_eq]",
+  tel: "q[tel_eq]",
+  line_uid: "q[line_user_id_eq]",
+  number: "q[number_eq]",
+};
+
+// Related resources needed for the normalized view
+const CUSTOMER_INCLUDES = "billing_address,shipping_addresses,credit_cards";
+
+/**
+ * Searches EC-Force customers through the admin API and normalizes them,
+ * including shipping addresses and saved payment methods, so callers can
+ * resolve the customer_id / shipping_address_id that form_data needs.
+ */
+class CustomerLookupService {
+  /**
+   * Search customers
+   * @param {Object} account - Account object with options.ec_force_info
+   * @param {Object} filters - email, tel, line_uid, number, page, per_page, plus raw `q[...]` params
+   * @returns {Promise<{customers: Array<Object>, pagination: Object}>}
+   * @throws {CrawlerError} INVALID_CREDENTIALS or ECFORCE_API_ERROR
+   */
+  static async searchCustomers(account, filters = {}) {
+    const context = {
+      account,
+      params: CustomerLookupService.buildParams(filters),
+    };
+
+    try {
+      await new GetCustomersService(context).call();
+    } catch (error) {
+      logger.warn("EC-Force customer search failed", { error: error.message });
+      throw toCrawlerError(error);
+    }
+
+    const body = context.result || {};
+    const data = Array.isArray(body.data) ? body.data : [];
+    const included = Array.isArray(body.included) ? body.included : [];
+
+    return {
+      customers: data.map((customer) =>
+        CustomerLookupService.normalizeCustomer(customer, included)
+      ),
+      pagination: {
+        page: context.params.page,
+        per_page: context.params.per,
+        total_count: toNumber(pick(body.meta, "total_count", "total")),
+        total_pages: toNumber(pick(body.meta, "total_pages")),
+      },
+    };
+  }
+
+  /**
+   * Build EC-Force query params from API filters
+   * @param {Object} filters
+   * @returns {Object}
+   */
+  static buildParams(filters = {}) {
+    const params = {
+      include: CUSTOMER_INCLUDES,
+      page: filters.page || 1,
+      per: filters.per_page || 20,
+    };
+
+    for (const [filter, param] of Object.entries(FILTER_PARAMS)) {
+      if (filters[filter]) params[param] = filters[filter];
+    }
+
+    // Pass other ransack conditions through as-is
+    for (const [key, value] of Object.entries(filters)) {
+      if (key.startsWith("q[")) params[key] = value;
+    }
+
+    return params;
+  }
+
+  /**
+   * Normalize one customer resource
+   * @param {Object} customer - JSON:API customer resource
+   * @param {Array<Object>} included - Included resources of the response
+   * @returns {Object}
+   */
+  static normalizeCustomer(customer, included = []) {
+    const attrs = customer.attributes || {};
+    const billingAddress = findIncluded(
+      included,
+      relationship(customer, "billing_address")
+    );
+
+    return {
+      id: String(customer.id),
+      number: pick(attrs, "number"),
+      name: pick(attrs, "name", "full_name"),
+      email: pick(attrs, "email"),
+      tel: pick(attrs, "tel") ?? pick(billingAddress?.attributes, "tel"),
+      line_uid: pick(attrs, "line_user_id", "line_uid"),
+      created_at: pick(attrs, "created_at"),
+      billing_address: billingAddress ? normalizeAddress(billingAddress) : null,
+      shipping_addresses: findIncludedMany(
+        included,
+        customer,
+        "shipping_addresses",
+        "addresses"
+      ).map(normalizeAddress),
+      payment_methods: findIncludedMany(
+        included,
+        customer,
+        "credit_cards",
+        "payment_methods"
+      ).map(CustomerLookupService._normalizePaymentMethod),
+    };
+  }
+
+  /**
+   * Saved payment method, card details masked by EC-Force
+   * @private
+   */
+  static _normalizePaymentMethod(resource) {
+    const attrs = resource.attributes || {};
+    return {
+      id: String(resource.id),
+      type: resource.type,
+      brand: pick(attrs, "brand", "card_brand"),
+      last4: pick(attrs, "last4", "last_digits"),
+      expires: pick(attrs, "expires", "expiration_date"),
+      default: Boolean(pick(attrs, "default", "is_default")),
+    };
+  }
+}
+
+module.exports = CustomerLookupService;
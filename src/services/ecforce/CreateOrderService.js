@@ -0,0 +1,17 @@
+const BaseService = require('./BaseService');
+
+class CreateOrderService extends BaseService {
+  async call() {
+    await this.initInfo();
+
+    await this.request(async () => {
+      const payload = this.context.payload;
+      if (!payload) throw new Error('payload required');
+
+      const resp = await this.ecForceAdmin.createOrder(payload);
+      this.context.result = resp && resp.body ? resp.body : resp;
+    });
+  }
+}
+
+module.exports = CreateOrderService;
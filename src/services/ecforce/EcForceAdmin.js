@@ -196,6 +196,10 @@ class EcForceAdmin {
     });
   }
 
+  async createOrder(data) {
+    return this.request("post", "/api/v2/admin/orders.json", { data });
+  }
+
   async getProducts(params = {}) {
     return this.request("get", "/api/v2/admin/products.json", { params });
   }
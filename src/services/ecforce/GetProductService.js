@@ -0,0 +1,18 @@
+const BaseService = require('./BaseService');
+
+class GetProductService extends BaseService {
+  async call() {
+    await this.initInfo();
+
+    await this.request(async () => {
+      const productId = this.context.productId || this.context.product_id || this.context.params?.productId;
+      if (!productId) throw new Error('productId required');
+
+      const params = this.context.params || {};
+      const resp = await this.ecForceAdmin.getProduct(productId, params);
+      this.context.result = resp && resp.body ? resp.body : resp;
+    });
+  }
+}
+
+module.exports = GetProductService;
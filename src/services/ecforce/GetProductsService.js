@@ -0,0 +1,15 @@
+const BaseService = require('./BaseService');
+
+class GetProductsService extends BaseService {
+  async call() {
+    await this.initInfo();
+
+    await this.request(async () => {
+      const params = this.context.params || {};
+      const resp = await this.ecForceAdmin.getProducts(params);
+      this.context.result = resp && resp.body ? resp.body : resp;
+    });
+  }
+}
+
+module.exports = GetProductsService;
@@ -0,0 +1,48 @@
+const { TooManyRequest } = require('./EcForceAdmin');
+const { CrawlerError, ErrorCodes } = require('../../middleware/errorHandler');
+
+/**
+ * Map an error from an EC-Force admin API service call to a CrawlerError
+ * @param {Error} error - Error thrown by a BaseService subclass
+ * @param {Object} [notFound] - Error to use when EC-Force answers 404
+ * @param {string} notFound.code - Error code (e.g. ORDER_NOT_FOUND)
+ * @param {string} notFound.message - Error message
+ * @returns {CrawlerError}
+ */
+function toCrawlerError(error, notFound = null) {
+  if (error instanceof CrawlerError) return error;
+
+  const status = error?.response?.status;
+
+  if (status === 404 && notFound) {
+    return new CrawlerError(notFound.message, notFound.code, 404);
+  }
+
+  // BaseService reports any sign-in/token failure this way
+  if (error.message === 'authenticate fail') {
+    return new CrawlerError(
+      'EC-Force authentication failed for this account',
+      ErrorCodes.INVALID_CREDENTIALS,
+      422
+    );
+  }
+
+  if (error instanceof TooManyRequest || status === 429) {
+    return new CrawlerError(
+      'EC-Force API rate limit exceeded, please retry later',
+      ErrorCodes.ECFORCE_RATE_LIMITED,
+      429
+    );
+  }
+
+  return new CrawlerError(
+    'EC-Force API request failed',
+    ErrorCodes.ECFORCE_API_ERROR,
+    502,
+    { status: status || null, originalError: error.message }
+  );
+}
+
+module.exports = {
+  toCrawlerError,
+};
@@ -0,0 +1,62 @@
+/*
+ * Helpers for reading EC-Force admin API (JSON:API) payloads.
+ * Attribute names differ between EC-Force versions, so readers take
+ * several candidate keys and use the first one that is set.
+ */
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isNaN(number) ? null : number;
+};
+
+// First attribute that is set
+const pick = (attrs, ...keys) => {
+  for (const key of keys) {
+    if (attrs?.[key] !== undefined && attrs[key] !== null) return attrs[key];
+  }
+  return null;
+};
+
+// Relationship linkage (`{ type, id }` or an array of them)
+const relationship = (resource, name) => resource?.relationships?.[name]?.data;
+
+const findIncluded = (included, ref) =>
+  ref
+    ? included.find(
+        (i) => i.type === ref.type && String(i.id) === String(ref.id)
+      ) || null
+    : null;
+
+// Resolve a to-many relationship, trying each candidate relationship name
+const findIncludedMany = (included, resource, ...names) => {
+  for (const name of names) {
+    const refs = relationship(resource, name);
+    if (Array.isArray(refs)) {
+      return refs.map((ref) => findIncluded(included, ref)).filter(Boolean);
+    }
+  }
+  return [];
+};
+
+const normalizeAddress = (resource) => {
+  const attrs = resource?.attributes || {};
+  return {
+    ...(resource?.id !== undefined && { id: String(resource.id) }),
+    name: pick(attrs, 'name', 'full_name'),
+    zipcode: pick(attrs, 'zipcode', 'zip'),
+    prefecture: pick(attrs, 'prefecture_name', 'prefecture'),
+    address1: pick(attrs, 'addr01', 'address1'),
+    address2: pick(attrs, 'addr02', 'address2'),
+    tel: pick(attrs, 'tel', 'phone'),
+  };
+};
+
+module.exports = {
+  toNumber,
+  pick,
+  relationship,
+  findIncluded,
+  findIncludedMany,
+  normalizeAddress,
+};
@@ -0,0 +1,278 @@
+const config = require("../../config");
+const logger = require("../../utils/logger");
+const CreateOrderService = require("../ecforce/CreateOrderService");
+const OrderLookupService = require("./OrderLookupService");
+const OrderPreflightService = require("./OrderPreflightService");
+const { CrawlerError, ErrorCodes } = require("../../middleware/errorHandler");
+const { getShopCircuitBreaker } = require("../../utils/circuitBreaker");
+const {
+  recordOrderCreated,
+  recordOrderFailed,
+  getShopLabel,
+} = require("../../utils/metrics");
+
+// EC-Force answers these when the orders endpoint is not available to this admin
+const UNAVAILABLE_STATUSES = [403, 404, 405, 501];
+// Network errors raised before the request reached EC-Force
+const NOT_SENT_ERRORS = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"];
+
+const unsupported = (reason, details = {}) =>
+  new CrawlerError(
+    `Order API unavailable: ${reason}`,
+    ErrorCodes.ORDER_API_UNSUPPORTED,
+    501,
+    details
+  );
+
+/**
+ * Creates orders with a POST to the EC-Force admin orders endpoint,
+ * without a browser.
+ *
+ * Throws ORDER_API_UNSUPPORTED only when the order was certainly not
+ * created (feature not mapped, endpoint unavailable, auth/network failure
+ * before the request), so the caller can safely fall back to the crawler.
+ * Any other failure after the POST is sent is marked `orderMayExist`.
+ */
+class ApiOrderService {
+  /**
+   * Create an order through the admin API
+   * @param {Object} params
+   * @param {Object} params.account - Parsed account object
+   * @param {Object} params.customer - Parsed customer object
+   * @param {Object} params.formData - Order form data
+   * @param {boolean} [params.dryRun] - Not supported by the API
+   * @returns {Promise<{success: boolean, data: Object, executionTime: number}>}
+   * @throws {CrawlerError} ORDER_API_UNSUPPORTED, or the order failure
+   */
+  static async createOrder({ account, customer, formData, dryRun = false }) {
+    const startTime = Date.now();
+    const shopUrl = account.options?.ec_force_info?.shop_url;
+    const shop = getShopLabel(shopUrl);
+
+    if (dryRun) {
+      throw unsupported("dry run needs the confirmation page");
+    }
+    if (formData.billing_address) {
+      throw unsupported(
+        "billing address is only entered through the order form"
+      );
+    }
+    if (formData.shipping_address) {
+      throw unsupported(
+        "new shipping address is only entered through the order form"
+      );
+    }
+    if (formData.coupon_code || formData.use_points) {
+      throw unsupported("coupons and points are only applied in the order form");
+    }
+    if (
+      formData.delivery_date ||
+      formData.delivery_time_slot ||
+      formData.note
+    ) {
+      throw unsupported("delivery schedule and note are not mapped");
+    }
+    if (formData.subscription) {
+      throw unsupported("subscription settings are not mapped");
+    }
+
+    // Outside the breaker, like the crawler's preflight: unknown products
+    // say nothing about the shop's health
+    const items = await ApiOrderService._resolveItems(account, formData);
+    const payload = ApiOrderService.buildPayload(formData, items);
+    const context = { account, payload };
+
+    logger.info(
+      `Creating order via EC-Force API - formCustomerId: ${formData.customer_id}, items: ${items.length}`
+    );
+
+    // Same per-shop breaker as the crawler, so an open circuit stops both
+    // strategies and API timeouts/5xx count towards opening it
+    const circuitBreaker = getShopCircuitBreaker(shopUrl);
+    try {
+      await circuitBreaker.execute(async () => {
+        try {
+          await new CreateOrderService(context).call();
+        } catch (error) {
+          throw ApiOrderService._mapError(error);
+        }
+      });
+    } catch (error) {
+      const mapped = ApiOrderService._mapCircuitError(error, circuitBreaker);
+      if (mapped.code !== ErrorCodes.ORDER_API_UNSUPPORTED) {
+        recordOrderFailed(shop, mapped.code);
+      }
+      throw mapped;
+    }
+
+    const order = OrderLookupService.normalizeOrder(context.result);
+    const executionTime = Date.now() - startTime;
+    recordOrderCreated(shop);
+
+    logger.info(
+      `Order created via EC-Force API - executionTime: ${executionTime}ms, orderId: ${order.id}, orderNumber: ${order.number}`
+    );
+
+    return {
+      success: true,
+      data: {
+        order_id: order.id || null,
+        order_number: order.number,
+        customer_number: order.customer?.number ?? null,
+        total_amount: order.totals.total,
+        items,
+        shipping_address_id: String(formData.shipping_address_id),
+        shipping_address_created: false,
+        billing_address_applied: false,
+        discount: null,
+        delivery: null,
+        subscription: null,
+        subs_order_id: order.subscription?.id ?? null,
+        customer_ext_id: customer.ext_id,
+        customer_id: customer.id,
+        account_id: account.id,
+        created_at: order.created_at || new Date().toISOString(),
+        order_url: order.id
+          ? `${new URL(shopUrl).origin}/admin/orders/${order.id}`
+          : null,
+      },
+      executionTime,
+    };
+  }
+
+  /**
+   * Build the admin API order payload
+   * @param {Object} formData - Order form data
+   * @param {Array<Object>} items - Line items with resolved variant_id
+   * @returns {Object}
+   */
+  static buildPayload(formData, items) {
+    return {
+      order: {
+        customer_id: formData.customer_id,
+        shipping_address_id: formData.shipping_address_id,
+        ...(formData.payment_method_id && {
+          payment_method_id: formData.payment_method_id,
+        }),
+        ...(formData.credit_card_id && {
+          credit_card_id: formData.credit_card_id,
+        }),
+        order_items_attributes: items.map((item) => ({
+          variant_id: item.variant_id,
+          quantity: item.quantity,
+        })),
+      },
+    };
+  }
+
+  /**
+   * Line items with a variant_id; names/SKUs are resolved via the product API
+   * A looked-up variant is only used for a unique exact name match (see
+   * OrderPreflightService); anything else falls back to the crawler rather
+   * than ordering another product.
+   * @private
+   */
+  static async _resolveItems(account, formData) {
+    const { products, product } = formData;
+    const lineItems =
+      Array.isArray(products) && products.length > 0 ? products : [product];
+
+    const needsLookup =
+      config.orderPreflight.enabled ||
+      lineItems.some((item) => item.variant_id == null);
+    const resolved = needsLookup
+      ? await OrderPreflightService.check(account, lineItems)
+      : null;
+
+    const exactVariant = (item, index) => {
+      const match = resolved?.[index];
+      return match?.product_name === item.name ? match.variant_id ?? null : null;
+    };
+
+    const items = lineItems.map((item, index) => ({
+      name: item.name,
+      variant_id:
+        item.variant_id != null
+          ? String(item.variant_id)
+          : exactVariant(item, index),
+      sku: item.sku ?? null,
+      quantity: item.quantity || 1,
+    }));
+
+    const unresolved = items.filter((item) => !item.variant_id);
+    if (unresolved.length > 0) {
+      throw unsupported("variant could not be resolved", {
+        products: unresolved.map((item) => item.name),
+      });
+    }
+
+    return items;
+  }
+
+  /**
+   * @private
+   */
+  static _mapError(error) {
+    const status = error?.response?.status;
+
+    // Non-HTTP errors come from setup/sign-in (BaseService) or rate limiting:
+    // like an unavailable endpoint or connection failure, nothing was created
+    if (
+      !error.isAxiosError ||
+      NOT_SENT_ERRORS.includes(error.code) ||
+      UNAVAILABLE_STATUSES.includes(status)
+    ) {
+      return unsupported(error.message, { status: status || null });
+    }
+
+    if (status === 422) {
+      return new CrawlerError(
+        "EC-Force rejected the order",
+        ErrorCodes.ORDER_CREATION_FAILED,
+        422,
+        { errors: error.response.data?.errors ?? error.response.data }
+      );
+    }
+
+    // Timeouts and 5xx: EC-Force may have created the order anyway
+    const mapped = new CrawlerError(
+      "Order creation via EC-Force API failed",
+      ErrorCodes.ORDER_CREATION_FAILED,
+      502,
+      { status: status || null, originalError: error.message }
+    );
+    mapped.orderMayExist = true;
+    return mapped;
+  }
+
+  /**
+   * Turn circuit breaker errors into the crawler's error codes
+   * @private
+   */
+  static _mapCircuitError(error, circuitBreaker) {
+    if (error.code === "CIRCUIT_OPEN") {
+      return new CrawlerError(
+        "EC-Force shop temporarily unavailable due to repeated failures",
+        ErrorCodes.CRAWLER_CIRCUIT_OPEN,
+        503,
+        { shop: circuitBreaker.name, lastError: error.lastError }
+      );
+    }
+
+    if (error.code === "CIRCUIT_TIMEOUT") {
+      // The POST was sent and may still complete
+      const timeoutError = new CrawlerError(
+        "EC-Force operation timeout",
+        ErrorCodes.CRAWLER_TIMEOUT,
+        504,
+        { timeout: error.message }
+      );
+      timeoutError.orderMayExist = true;
+      return timeoutError;
+    }
+
+    return error;
+  }
+}
+
+module.exports = ApiOrderService;
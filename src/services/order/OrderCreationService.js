@@ -0,0 +1,217 @@
+const config = require("../../config");
+const logger = require("../../utils/logger");
+const { ErrorCodes } = require("../../middleware/errorHandler");
+const { resolvePlatform } = require("../crawler/registry");
+const OrderNotificationService = require("./OrderNotificationService");
+
+const STRATEGIES = ["browser", "api"];
+
+/**
+ * Runs an order through the account's platform (admin API or crawler) and
+ * fires the post-order side effects. Shared by the synchronous endpoint and
+ * the async job worker.
+ */
+class OrderCreationService {
+  /**
+   * Create order via the account's strategy (API with crawler fallback, or crawler)
+   * @param {Object} params
+   * @param {Object} params.account - Parsed account object
+   * @param {Object} params.customer - Parsed customer object
+   * @param {Object} params.formData - Order form data
+   * @param {string} [params.requestId] - Originating request id (for logging)
+   * @param {boolean} [params.dryRun] - Stop at the confirmation page and return a preview
+   * @param {AbortSignal} [params.signal] - Stops waiting for a browser (not a running order)
+   * @returns {Promise<{success: boolean, data: Object, executionTime: number, strategy: string}>}
+   */
+  static async createOrder({
+    account,
+    customer,
+    formData,
+    requestId,
+    dryRun = false,
+    signal,
+  }) {
+    // Unknown platform or bad credentials: a request error, not an order failure
+    const platform = resolvePlatform(account);
+    const { Crawler, apiOrderService } = platform;
+    let crawler = null;
+
+    try {
+      let result = null;
+
+      if (OrderCreationService.getStrategy(account, platform) === "api") {
+        result = await OrderCreationService._createViaApi(apiOrderService, {
+          account,
+          customer,
+          formData,
+          dryRun,
+          requestId,
+        });
+      }
+
+      if (!result) {
+        crawler = new Crawler({
+          account,
+          customer,
+          formData,
+          dryRun,
+          signal,
+        });
+
+        result = await crawler.execute();
+        result.strategy = "browser";
+      }
+
+      // Nothing was ordered - skip order logging and customer notifications
+      if (dryRun) {
+        logger.info("Order preview completed", {
+          requestId,
+          total: result.data?.preview?.total,
+          executionTime: result.executionTime,
+        });
+        return result;
+      }
+
+      logger.info("Order created successfully", {
+        requestId,
+        orderId: result.data?.order_id,
+        orderNumber: result.data?.order_number,
+        executionTime: result.executionTime,
+        strategy: result.strategy,
+      });
+
+      // Fetch platform order detail and log structured params (non-blocking)
+      if (platform.logOrderParams) {
+        try {
+          platform
+            .logOrderParams(account, customer, result.data?.order_id)
+            .catch((err) =>
+              logger.error(`Failed to log order params: ${err.message}`)
+            );
+        } catch (err) {
+          logger.error(`Error scheduling order params log: ${err.message}`);
+        }
+      }
+
+      // Send success notification (non-blocking)
+      try {
+        OrderNotificationService.sendOrderSuccessNotification(
+          result.data,
+          account,
+          customer
+        ).catch((err) =>
+          logger.error(`Failed to send success notification: ${err.message}`)
+        );
+      } catch (err) {
+        logger.error(`Error scheduling success notification: ${err.message}`);
+      }
+
+      return result;
+    } catch (error) {
+      logger.error(`Order creation failed: ${error.message}`);
+
+      if (dryRun) throw error;
+
+      // Send failure notification to customer
+      try {
+        await OrderNotificationService.sendOrderFailureNotification(
+          account,
+          customer,
+          {
+            product: OrderCreationService._failedProduct(formData, error),
+            shopUrl: Crawler.getShopUrl(account),
+          }
+        );
+      } catch (notifyErr) {
+        logger.error(
+          `Failed to send failure notification: ${notifyErr.message}`
+        );
+      }
+
+      throw error;
+    } finally {
+      // Ensure browser is closed
+      if (crawler) {
+        try {
+          await crawler.closeBrowser();
+        } catch (cleanupError) {
+          logger.error("Failed to cleanup crawler", {
+            requestId,
+            error: cleanupError.message,
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * The one line item a failure notification is about
+   * The LINE postback expects a single product: the failing item when the
+   * error names it (variant/stock errors), else the first.
+   * @private
+   */
+  static _failedProduct(formData, error) {
+    const { products, product } = formData || {};
+    const lineItems =
+      Array.isArray(products) && products.length > 0 ? products : [product];
+    const failing = error?.details?.product;
+
+    return (
+      lineItems.find((item) => failing && item?.name === failing) ||
+      lineItems[0] ||
+      null
+    );
+  }
+
+  /**
+   * Order strategy for an account
+   * Platforms without an API order service always use the browser.
+   * @param {Object} account - Parsed account object
+   * @param {Object} platform - Entry from resolvePlatform()
+   * @returns {string} "api" or "browser"
+   */
+  static getStrategy(account, { Crawler, apiOrderService }) {
+    if (!apiOrderService) return "browser";
+
+    const strategy =
+      account?.options?.[Crawler.credentialsKey]?.order_strategy;
+    if (strategy === undefined || strategy === null) {
+      return config.orderStrategy.default;
+    }
+    if (!STRATEGIES.includes(strategy)) {
+      logger.warn(`Unknown order_strategy "${strategy}", using browser`);
+      return "browser";
+    }
+    return strategy;
+  }
+
+  /**
+   * Try the admin API; null means it cannot be used and nothing was created
+   * @private
+   */
+  static async _createViaApi(
+    apiOrderService,
+    { account, customer, formData, dryRun, requestId }
+  ) {
+    try {
+      const result = await apiOrderService.createOrder({
+        account,
+        customer,
+        formData,
+        dryRun,
+      });
+      result.strategy = "api";
+      return result;
+    } catch (error) {
+      if (error.code !== ErrorCodes.ORDER_API_UNSUPPORTED) throw error;
+
+      logger.warn("Order API unavailable, falling back to browser", {
+        requestId,
+        reason: error.message,
+      });
+      return null;
+    }
+  }
+}
+
+module.exports = OrderCreationService;
@@ -0,0 +1,195 @@
+/**
+ * Idempotency keys for order creation
+ * Remembers the response for an `Idempotency-Key` so a retried request
+ * replays the original result instead of creating a second order.
+ *
+ * Record lifecycle (stored in Redis under `idempotency:order:<platform>:<shop host>:<key>`):
+ * - in_progress: reserved with SET NX while the order is being created
+ * - completed: final response (status code + body) kept for `ttlSeconds`
+ * - released: key deleted when the order failed before submission, so it can be retried
+ *
+ * Falls back to an in-memory map (single pod only) when Redis is not configured.
+ */
+
+const crypto = require("crypto");
+const config = require("../../config");
+const logger = require("../../utils/logger");
+const { getRedisClient } = require("../../utils/redis");
+const { CrawlerError, ErrorCodes } = require("../../middleware/errorHandler");
+
+const RECORD_STATUS = {
+  IN_PROGRESS: "in_progress",
+  COMPLETED: "completed",
+};
+
+// Local fallback when Redis is unavailable
+const localRecords = new Map();
+
+const recordKey = (scope, key) => `idempotency:order:${scope}:${key}`;
+
+class OrderIdempotencyService {
+  /**
+   * Fingerprint of the request payload, used to detect key reuse with a different order
+   * @param {Object} customer - Parsed customer object
+   * @param {Object} formData - Order form data
+   * @returns {string}
+   */
+  static fingerprint(customer, formData) {
+    const { idempotency_key: _ignored, ...rest } = formData || {};
+    return crypto
+      .createHash("sha256")
+      .update(JSON.stringify({ customer_id: customer?.id, form_data: rest }))
+      .digest("hex");
+  }
+
+  /**
+   * Tenant scope for an account's keys: the platform and shop host, which
+   * every account has (credentials are validated before this is called),
+   * so keys from different shops never collide
+   * @param {Function} Crawler - Platform crawler from resolvePlatform()
+   * @param {Object} account - Parsed account object
+   * @returns {string}
+   * @throws {CrawlerError} VALIDATION_ERROR if the shop URL is unusable
+   */
+  static scope(Crawler, account) {
+    let host;
+    try {
+      host = new URL(Crawler.getShopUrl(account)).host.toLowerCase();
+    } catch {
+      host = null;
+    }
+
+    if (!host) {
+      throw new CrawlerError(
+        "A valid shop URL is required for idempotency keys",
+        ErrorCodes.VALIDATION_ERROR,
+        400
+      );
+    }
+
+    return `${Crawler.platform}:${host}`;
+  }
+
+  /**
+   * Try to reserve an idempotency key
+   * @param {string} scope - Tenant scope, from scope()
+   * @param {string} key - Idempotency key supplied by the caller
+   * @param {string} fingerprint - Request fingerprint
+   * @returns {Promise<Object|null>} null if reserved, otherwise the existing record
+   */
+  static async reserve(scope, key, fingerprint) {
+    const record = {
+      status: RECORD_STATUS.IN_PROGRESS,
+      fingerprint,
+      created_at: new Date().toISOString(),
+    };
+    const lockTtl = config.idempotency.lockTtlSeconds;
+
+    const redis = getRedisClient();
+    if (!redis) {
+      const existing = OrderIdempotencyService._getLocal(scope, key);
+      if (existing) return existing;
+      OrderIdempotencyService._setLocal(scope, key, record, lockTtl);
+      return null;
+    }
+
+    const k = recordKey(scope, key);
+    const reserved = await redis.set(
+      k,
+      JSON.stringify(record),
+      "EX",
+      lockTtl,
+      "NX"
+    );
+    if (reserved) return null;
+
+    const raw = await redis.get(k);
+    // Expired between SET NX and GET - try to reserve again
+    if (!raw) return OrderIdempotencyService.reserve(scope, key, fingerprint);
+    return JSON.parse(raw);
+  }
+
+  /**
+   * Store the final response for a reserved key
+   * @param {string} scope - Tenant scope, from scope()
+   * @param {string} key - Idempotency key
+   * @param {string} fingerprint - Request fingerprint
+   * @param {number} statusCode - HTTP status code of the response
+   * @param {Object} body - Response body
+   */
+  static async complete(scope, key, fingerprint, statusCode, body) {
+    const record = {
+      status: RECORD_STATUS.COMPLETED,
+      fingerprint,
+      status_code: statusCode,
+      body,
+      completed_at: new Date().toISOString(),
+    };
+    const ttl = config.idempotency.ttlSeconds;
+
+    const redis = getRedisClient();
+    if (!redis) {
+      OrderIdempotencyService._setLocal(scope, key, record, ttl);
+      return;
+    }
+
+    try {
+      await redis.set(recordKey(scope, key), JSON.stringify(record), "EX", ttl);
+    } catch (error) {
+      logger.error("Failed to store idempotency record", {
+        key,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Release a reserved key so the same request can be retried
+   * @param {string} scope - Tenant scope, from scope()
+   * @param {string} key - Idempotency key
+   */
+  static async release(scope, key) {
+    const redis = getRedisClient();
+    if (!redis) {
+      localRecords.delete(recordKey(scope, key));
+      return;
+    }
+
+    try {
+      await redis.del(recordKey(scope, key));
+    } catch (error) {
+      logger.error("Failed to release idempotency key", {
+        key,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * @private
+   */
+  static _getLocal(scope, key) {
+    const k = recordKey(scope, key);
+    const entry = localRecords.get(k);
+    if (!entry) return null;
+    if (entry.expiresAt < Date.now()) {
+      localRecords.delete(k);
+      return null;
+    }
+    return entry.record;
+  }
+
+  /**
+   * @private
+   */
+  static _setLocal(scope, key, record, ttlSeconds) {
+    localRecords.set(recordKey(scope, key), {
+      record,
+      expiresAt: Date.now() + ttlSeconds * 1000,
+    });
+  }
+}
+
+OrderIdempotencyService.RECORD_STATUS = RECORD_STATUS;
+
+module.exports = OrderIdempotencyService;
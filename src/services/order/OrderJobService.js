@@ -0,0 +1,507 @@
+/**
+ * Asynchronous order jobs
+ * Queues order creation requests in Redis so callers get a job id immediately
+ * and poll for the result instead of holding the HTTP connection open.
+ *
+ * - Job records (status/result) are stored as JSON with a TTL, readable from any pod
+ * - Job payloads (account credentials etc.) are stored separately, encrypted
+ *   with AES-256-GCM using `ORDER_JOB_SECRET`, and deleted once picked up
+ * - Each pod runs a worker that moves job ids with BLMOVE onto a processing
+ *   list and runs OrderCreationService, keeping a lease alive while it works
+ * - A reaper returns unstarted jobs whose lease lapsed (worker died) to the
+ *   queue and marks started ones failed, so no job is silently lost
+ * - Falls back to an in-memory queue (single pod only) when Redis is not configured
+ */
+
+const crypto = require("crypto");
+const config = require("../../config");
+const logger = require("../../utils/logger");
+const { getRedisClient } = require("../../utils/redis");
+const { encrypt, decrypt } = require("../../utils/encryption");
+const { runWithContext } = require("../../utils/asyncContext");
+const { CrawlerError, ErrorCodes } = require("../../middleware/errorHandler");
+const OrderCreationService = require("./OrderCreationService");
+
+const JOB_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+};
+
+const QUEUE_KEY = "order-jobs:queue";
+const PROCESSING_KEY = "order-jobs:processing";
+const BLOCK_TIMEOUT_SECONDS = 5;
+const POLL_INTERVAL_MS = 200;
+// A worker refreshes its job's lease every LEASE_TTL / 3 while it runs
+const LEASE_TTL_SECONDS = 60;
+const REAPER_INTERVAL_MS = 30000;
+
+const jobKey = (id) => `order-job:${id}`;
+const payloadKey = (id) => `order-job:${id}:payload`;
+const leaseKey = (id) => `order-job:${id}:lease`;
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Local fallback when Redis is unavailable
+const localJobs = new Map();
+const localPayloads = new Map();
+const localQueue = [];
+
+// Worker state
+let running = false;
+let blockingClient = null;
+let loopPromise = null;
+let reaperTimer = null;
+const activeJobs = new Set();
+// Processing ids seen without a lease on the last sweep - only reaped when
+// still leaseless on the next one, so a job just moved is never mistaken
+let reapCandidates = new Set();
+
+class OrderJobService {
+  /**
+   * Enqueue an order creation job
+   * @param {Object} params
+   * @param {Object} params.account - Parsed account object
+   * @param {Object} params.customer - Parsed customer object
+   * @param {Object} params.formData - Order form data
+   * @param {string} [params.requestId] - Originating request id
+   * @param {boolean} [params.dryRun] - Preview only (see OrderCreationService)
+   * @returns {Promise<Object>} The queued job record
+   * @throws {CrawlerError} If the job cannot be stored (or ORDER_JOB_SECRET is missing)
+   */
+  static async enqueue({ account, customer, formData, requestId, dryRun }) {
+    const job = {
+      id: crypto.randomUUID(),
+      status: JOB_STATUS.QUEUED,
+      request_id: requestId || null,
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null,
+      data: null,
+      meta: null,
+      error: null,
+    };
+    const payload = { account, customer, formData, dryRun: !!dryRun };
+    const ttl = config.orderJobs.ttlSeconds;
+
+    const redis = getRedisClient();
+    if (!redis) {
+      OrderJobService._pruneLocalJobs();
+      localJobs.set(job.id, { job, expiresAt: Date.now() + ttl * 1000 });
+      localPayloads.set(job.id, payload);
+      localQueue.push(job.id);
+      logger.info(`Order job queued (local) - jobId: ${job.id}`);
+      return job;
+    }
+
+    // Payloads hold the shop admin credentials: never store them in clear
+    if (!config.orderJobs.secret) {
+      logger.error("ORDER_JOB_SECRET not configured - cannot queue order jobs");
+      throw new CrawlerError(
+        "Order jobs are not configured",
+        ErrorCodes.JOB_ENQUEUE_FAILED,
+        503
+      );
+    }
+
+    try {
+      await redis
+        .multi()
+        .set(jobKey(job.id), JSON.stringify(job), "EX", ttl)
+        .set(
+          payloadKey(job.id),
+          encrypt(JSON.stringify(payload), config.orderJobs.secret),
+          "EX",
+          ttl
+        )
+        .lpush(QUEUE_KEY, job.id)
+        .exec();
+    } catch (error) {
+      logger.error("Failed to enqueue order job", { error: error.message });
+      throw new CrawlerError(
+        "Failed to enqueue order job",
+        ErrorCodes.JOB_ENQUEUE_FAILED,
+        503,
+        { originalError: error.message }
+      );
+    }
+
+    logger.info(`Order job queued - jobId: ${job.id}`);
+    return job;
+  }
+
+  /**
+   * Get a job record by id
+   * @param {string} jobId
+   * @returns {Promise<Object|null>} Job record or null if unknown/expired
+   */
+  static async getJob(jobId) {
+    const redis = getRedisClient();
+    if (!redis) {
+      const entry = localJobs.get(jobId);
+      if (!entry) return null;
+      if (entry.expiresAt < Date.now()) {
+        localJobs.delete(jobId);
+        return null;
+      }
+      return entry.job;
+    }
+
+    const raw = await redis.get(jobKey(jobId));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  /**
+   * Start the background worker for this pod
+   */
+  static startWorker() {
+    if (running) return;
+
+    running = true;
+    loopPromise = OrderJobService._pollLoop();
+    if (getRedisClient()) {
+      reaperTimer = setInterval(
+        () =>
+          OrderJobService._reapStaleJobs().catch((error) =>
+            logger.error("Failed to reap stale order jobs", {
+              error: error.message,
+            })
+          ),
+        REAPER_INTERVAL_MS
+      );
+      reaperTimer.unref();
+    }
+    logger.info(
+      `Order job worker started - concurrency: ${config.orderJobs.concurrency}`
+    );
+  }
+
+  /**
+   * Stop taking new jobs and wait for in-flight jobs to finish
+   */
+  static async stopWorker() {
+    if (!running) return;
+
+    running = false;
+    clearInterval(reaperTimer);
+    reaperTimer = null;
+    if (blockingClient) {
+      blockingClient.disconnect();
+      blockingClient = null;
+    }
+
+    await loopPromise;
+    await Promise.allSettled(Array.from(activeJobs));
+    logger.info("Order job worker stopped");
+  }
+
+  /**
+   * Pull job ids off the queue while under the concurrency limit
+   * @private
+   */
+  static async _pollLoop() {
+    while (running) {
+      if (activeJobs.size >= config.orderJobs.concurrency) {
+        await sleep(POLL_INTERVAL_MS);
+        continue;
+      }
+
+      let jobId;
+      try {
+        jobId = await OrderJobService._dequeue();
+      } catch (error) {
+        if (!running) break;
+        logger.error("Failed to dequeue order job", { error: error.message });
+        await sleep(1000);
+        continue;
+      }
+
+      if (!jobId) continue;
+
+      const task = OrderJobService._processJob(jobId)
+        .catch((error) =>
+          logger.error(`Order job ${jobId} crashed: ${error.message}`)
+        )
+        .finally(() => activeJobs.delete(task));
+      activeJobs.add(task);
+    }
+  }
+
+  /**
+   * Take the next job id, blocking briefly when the queue is empty
+   * With Redis the id is moved onto the processing list in the same step,
+   * so it stays visible to the reaper if this pod dies mid-job.
+   * @private
+   */
+  static async _dequeue() {
+    const redis = getRedisClient();
+    if (!redis) {
+      const jobId = localQueue.shift();
+      if (!jobId) await sleep(POLL_INTERVAL_MS);
+      return jobId || null;
+    }
+
+    // BLMOVE blocks the connection, so it gets its own
+    if (!blockingClient) blockingClient = redis.duplicate();
+    const jobId = await blockingClient.blmove(
+      QUEUE_KEY,
+      PROCESSING_KEY,
+      "RIGHT",
+      "LEFT",
+      BLOCK_TIMEOUT_SECONDS
+    );
+    if (jobId) await OrderJobService._renewLease(jobId);
+    return jobId;
+  }
+
+  /**
+   * Run a single job and store its outcome
+   * The job leaves the processing list only once its final state is saved;
+   * if anything fails before that, its lease lapses and the reaper takes over.
+   * @private
+   */
+  static async _processJob(jobId) {
+    const heartbeat = setInterval(
+      () => OrderJobService._renewLease(jobId),
+      (LEASE_TTL_SECONDS * 1000) / 3
+    );
+    try {
+      await OrderJobService._runJob(jobId);
+    } finally {
+      clearInterval(heartbeat);
+    }
+    await OrderJobService._release(jobId);
+  }
+
+  /**
+   * @private
+   */
+  static async _runJob(jobId) {
+    const job = await OrderJobService.getJob(jobId);
+    if (!job) {
+      logger.warn(`Order job ${jobId} not found or expired, skipping`);
+      return;
+    }
+
+    const payload = await OrderJobService._takePayload(jobId);
+    if (!payload) {
+      job.status = JOB_STATUS.FAILED;
+      job.finished_at = new Date().toISOString();
+      job.error = {
+        code: ErrorCodes.JOB_NOT_FOUND,
+        message: "Order job payload expired before it was processed",
+      };
+      await OrderJobService._saveJob(job);
+      return;
+    }
+
+    await runWithContext({ requestId: job.request_id, jobId }, async () => {
+      job.status = JOB_STATUS.RUNNING;
+      job.started_at = new Date().toISOString();
+      await OrderJobService._saveJob(job);
+      logger.info(`Order job started - jobId: ${jobId}`);
+
+      try {
+        const result = await OrderCreationService.createOrder({
+          ...payload,
+          requestId: job.request_id,
+        });
+
+        job.status = JOB_STATUS.SUCCEEDED;
+        job.data = result.data;
+        job.meta = {
+          execution_time_ms: result.executionTime,
+          strategy: result.strategy,
+          request_id: job.request_id,
+        };
+      } catch (error) {
+        job.status = JOB_STATUS.FAILED;
+        job.error = {
+          code: error.code || ErrorCodes.INTERNAL_ERROR,
+          message: error.message,
+          ...(error instanceof CrawlerError && { details: error.details }),
+        };
+      }
+
+      job.finished_at = new Date().toISOString();
+      await OrderJobService._saveJob(job);
+      logger.info(`Order job finished - jobId: ${jobId}, status: ${job.status}`);
+    });
+  }
+
+  /**
+   * Read and delete a job payload so credentials do not linger
+   * @private
+   */
+  static async _takePayload(jobId) {
+    const redis = getRedisClient();
+    if (!redis) {
+      const payload = localPayloads.get(jobId) || null;
+      localPayloads.delete(jobId);
+      return payload;
+    }
+
+    const [[error, raw]] = await redis
+      .multi()
+      .get(payloadKey(jobId))
+      .del(payloadKey(jobId))
+      .exec();
+    if (error) throw error;
+    if (!raw) return null;
+
+    try {
+      return JSON.parse(decrypt(raw, config.orderJobs.secret));
+    } catch (error) {
+      // Unreadable (e.g. secret rotated while queued): treat as expired
+      logger.error(`Failed to decrypt order job ${jobId} payload`, {
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Mark a job as owned by a live worker
+   * @private
+   */
+  static async _renewLease(jobId) {
+    const redis = getRedisClient();
+    if (!redis) return;
+
+    try {
+      await redis.set(leaseKey(jobId), "1", "EX", LEASE_TTL_SECONDS);
+    } catch (error) {
+      logger.warn(`Failed to renew order job ${jobId} lease`, {
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Take a finished job off the processing list
+   * @private
+   */
+  static async _release(jobId) {
+    const redis = getRedisClient();
+    if (!redis) return;
+
+    try {
+      await redis
+        .multi()
+        .lrem(PROCESSING_KEY, 0, jobId)
+        .del(leaseKey(jobId))
+        .exec();
+    } catch (error) {
+      logger.error(`Failed to release order job ${jobId}`, {
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Recover jobs left on the processing list by a worker that died
+   * Jobs whose payload is still queued never started and go back on the
+   * queue; others may have reached EC-Force, so they are marked failed
+   * rather than retried. Runs on every pod; LREM decides which one acts.
+   * @private
+   */
+  static async _reapStaleJobs() {
+    const redis = getRedisClient();
+    if (!redis) return;
+
+    const jobIds = await redis.lrange(PROCESSING_KEY, 0, -1);
+    const leaseless = new Set();
+
+    for (const jobId of jobIds) {
+      if (await redis.exists(leaseKey(jobId))) continue;
+      if (!reapCandidates.has(jobId)) {
+        leaseless.add(jobId);
+        continue;
+      }
+      if (!(await redis.lrem(PROCESSING_KEY, 1, jobId))) continue;
+
+      try {
+        await OrderJobService._reapJob(redis, jobId);
+      } catch (error) {
+        // Put it back so the next sweep tries again
+        await redis.lpush(PROCESSING_KEY, jobId);
+        throw error;
+      }
+    }
+
+    reapCandidates = leaseless;
+  }
+
+  /**
+   * Requeue or fail one job taken off the processing list by the reaper
+   * @private
+   */
+  static async _reapJob(redis, jobId) {
+    const job = await OrderJobService.getJob(jobId);
+    const finished =
+      !job ||
+      job.status === JOB_STATUS.SUCCEEDED ||
+      job.status === JOB_STATUS.FAILED;
+    if (finished) return;
+
+    if (
+      job.status === JOB_STATUS.QUEUED &&
+      (await redis.exists(payloadKey(jobId)))
+    ) {
+      await redis.rpush(QUEUE_KEY, jobId);
+      logger.warn(
+        `Order job requeued after its worker stopped - jobId: ${jobId}`
+      );
+      return;
+    }
+
+    await redis.del(payloadKey(jobId));
+    job.status = JOB_STATUS.FAILED;
+    job.finished_at = new Date().toISOString();
+    job.error = {
+      code: ErrorCodes.JOB_INTERRUPTED,
+      message:
+        "Order job was interrupted before it finished; check the shop for the order before retrying",
+    };
+    await OrderJobService._saveJob(job);
+    logger.error(`Order job interrupted, marked failed - jobId: ${jobId}`);
+  }
+
+  /**
+   * Persist a job record
+   * @private
+   * @throws {Error} If Redis rejects the write
+   */
+  static async _saveJob(job) {
+    const ttl = config.orderJobs.ttlSeconds;
+    const redis = getRedisClient();
+    if (!redis) {
+      localJobs.set(job.id, { job, expiresAt: Date.now() + ttl * 1000 });
+      return;
+    }
+
+    try {
+      await redis.set(jobKey(job.id), JSON.stringify(job), "EX", ttl);
+    } catch (error) {
+      logger.error(`Failed to save order job ${job.id}`, {
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Drop expired local job records
+   * @private
+   */
+  static _pruneLocalJobs() {
+    const now = Date.now();
+    for (const [id, entry] of localJobs) {
+      if (entry.expiresAt < now) localJobs.delete(id);
+    }
+  }
+}
+
+OrderJobService.JOB_STATUS = JOB_STATUS;
+
+module.exports = OrderJobService;
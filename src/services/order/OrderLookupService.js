@@ -0,0 +1,152 @@
+const logger = require("../../utils/logger");
+const GetOrderService = require("../ecforce/GetOrderService");
+const { toCrawlerError } = require("../ecforce/errors");
+const { ErrorCodes } = require("../../middleware/errorHandler");
+const {
+  toNumber,
+  pick,
+  relationship,
+  findIncluded,
+  normalizeAddress,
+} = require("../ecforce/jsonApi");
+
+/**
+ * Looks up an EC-Force order through the admin API and normalizes the
+ * JSON:API payload (order + `included` resources) into a flat view.
+ */
+class OrderLookupService {
+  /**
+   * Fetch an order
+   * @param {Object} account - Account object with options.ec_force_info
+   * @param {string} orderId - EC-Force order id
+   * @returns {Promise<Object>} Normalized order (see normalizeOrder)
+   * @throws {CrawlerError} ORDER_NOT_FOUND, INVALID_CREDENTIALS or ECFORCE_API_ERROR
+   */
+  static async getOrder(account, orderId) {
+    const context = { account, orderId, params: {} };
+
+    try {
+      await new GetOrderService(context).call();
+    } catch (error) {
+      logger.warn(`EC-Force order lookup failed - orderId: ${orderId}`, {
+        error: error.message,
+      });
+      throw toCrawlerError(error, {
+        code: ErrorCodes.ORDER_NOT_FOUND,
+        message: `Order not found: ${orderId}`,
+      });
+    }
+
+    return OrderLookupService.normalizeOrder(context.result);
+  }
+
+  /**
+   * Normalize an EC-Force order response
+   * Same `included` lookups as OrderLoggerService.logOrderParams.
+   * @param {Object} orderData - JSON:API body ({ data, included })
+   * @returns {Object}
+   */
+  static normalizeOrder(orderData) {
+    const body = orderData?.body || orderData || {};
+    const order = body.data || {};
+    const attrs = order.attributes || {};
+    const included = Array.isArray(body.included) ? body.included : [];
+
+    const customer =
+      findIncluded(included, relationship(order, "customer")) ||
+      included.find((i) => i.type === "customer") ||
+      null;
+
+    const itemIds = (relationship(order, "order_items") || []).map((i) =>
+      String(i.id)
+    );
+    const items = included
+      .filter((i) => i.type === "order_item" && itemIds.includes(String(i.id)))
+      .map(OrderLookupService._normalizeItem);
+
+    const shippingAddress =
+      findIncluded(included, relationship(order, "shipping_address")) ||
+      included.find((i) => i.type === "shipping_address") ||
+      null;
+
+    const payment =
+      findIncluded(included, relationship(order, "payment")) ||
+      included.find((i) => i.type === "payment") ||
+      null;
+    const paymentMethod = findIncluded(
+      included,
+      relationship(payment, "payment_method") ||
+        relationship(order, "payment_method")
+    );
+
+    const subsOrder = included.find((i) => i.type === "sub_order") || null;
+
+    return {
+      id: String(order.id ?? ""),
+      number: pick(attrs, "number"),
+      status: pick(attrs, "state", "status"),
+      created_at: pick(attrs, "created_at"),
+      completed_at: pick(attrs, "completed_at"),
+      customer: customer
+        ? {
+            id: String(customer.id),
+            number: pick(customer.attributes, "number"),
+            name: pick(customer.attributes, "name", "full_name"),
+            email: pick(customer.attributes, "email"),
+          }
+        : null,
+      items,
+      totals: {
+        subtotal: toNumber(pick(attrs, "subtotal")),
+        shipping_fee: toNumber(pick(attrs, "shipping_fee", "deliv_fee")),
+        payment_fee: toNumber(pick(attrs, "payment_fee", "charge")),
+        discount: toNumber(pick(attrs, "discount")),
+        point_used: toNumber(pick(attrs, "use_point", "point_used")),
+        tax: toNumber(pick(attrs, "tax")),
+        total: toNumber(pick(attrs, "total", "payment_total")),
+      },
+      payment: {
+        state:
+          pick(attrs, "payment_state") ?? pick(payment?.attributes, "state"),
+        method:
+          pick(paymentMethod?.attributes, "name") ??
+          pick(attrs, "payment_method_name"),
+      },
+      shipping: {
+        state: pick(attrs, "shipping_state"),
+        address: shippingAddress ? normalizeAddress(shippingAddress) : null,
+      },
+      subscription:
+        attrs.subs_order_id || subsOrder
+          ? {
+              id: String(subsOrder?.id ?? attrs.subs_order_id),
+              number: pick(subsOrder?.attributes, "number"),
+              status: pick(subsOrder?.attributes, "state", "status"),
+              next_delivery_date: pick(
+                subsOrder?.attributes,
+                "next_delivery_date",
+                "scheduled_to_be_delivered_at"
+              ),
+            }
+          : null,
+    };
+  }
+
+  /**
+   * @private
+   */
+  static _normalizeItem(item) {
+    const attrs = item.attributes || {};
+    return {
+      id: String(item.id),
+      name: pick(attrs, "name", "product_name"),
+      variant_id: pick(attrs, "variant_id"),
+      sku: pick(attrs, "sku"),
+      quantity: toNumber(pick(attrs, "quantity")),
+      price: toNumber(pick(attrs, "price")),
+      subtotal: toNumber(pick(attrs, "subtotal", "total")),
+    };
+  }
+}
+
+module.exports = OrderLookupService;
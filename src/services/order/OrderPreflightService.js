@@ -0,0 +1,183 @@
+const logger = require("../../utils/logger");
+const ProductLookupService = require("../product/ProductLookupService");
+const { CrawlerError, ErrorCodes } = require("../../middleware/errorHandler");
+
+// Name search is a partial match; results past this are not looked at
+const PRODUCT_SEARCH_LIMIT = 20;
+
+// Errors that mean the order itself cannot succeed
+const REJECT_CODES = [
+  ErrorCodes.PRODUCT_NOT_FOUND,
+  ErrorCodes.VARIANT_NOT_FOUND,
+  ErrorCodes.OUT_OF_STOCK,
+];
+
+/**
+ * Checks line items against the EC-Force admin API before a browser is
+ * launched, so misspelled or sold-out products fail fast with a precise
+ * error instead of after login and the add-item modal.
+ *
+ * Fails open: if the admin API itself errors, the order goes ahead and the
+ * crawler remains the source of truth.
+ */
+class OrderPreflightService {
+  /**
+   * Check that every line item exists and has enough stock
+   * @param {Object} account - Account object with options.ec_force_info
+   * @param {Array<Object>} products - Line items ({ name, quantity, variant_id?, sku? })
+   * @returns {Promise<Array<Object>|null>} Resolved items, or null if the check was skipped
+   * @throws {CrawlerError} PRODUCT_NOT_FOUND / VARIANT_NOT_FOUND (422), OUT_OF_STOCK (409)
+   */
+  static async check(account, products) {
+    try {
+      const resolved = [];
+      const productsByName = new Map();
+
+      for (const item of products) {
+        if (!productsByName.has(item.name)) {
+          productsByName.set(
+            item.name,
+            await OrderPreflightService._findProduct(account, item.name)
+          );
+        }
+
+        const product = productsByName.get(item.name);
+        if (!product) {
+          logger.warn(
+            `Order preflight skipped: no unique exact match for product "${item.name}"`
+          );
+          return null;
+        }
+
+        const variant = OrderPreflightService._findVariant(product, item);
+        resolved.push({ item, product, variant });
+      }
+
+      OrderPreflightService._checkStock(resolved);
+
+      logger.info(`Order preflight passed - items: ${resolved.length}`);
+      return resolved.map(({ item, product, variant }) => ({
+        name: item.name,
+        quantity: item.quantity || 1,
+        product_id: product.id,
+        product_name: product.name,
+        variant_id: variant?.id ?? null,
+        stock: variant?.stock ?? null,
+      }));
+    } catch (error) {
+      if (REJECT_CODES.includes(error.code)) throw error;
+
+      logger.warn(`Order preflight skipped: ${error.message}`, {
+        code: error.code,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Find the product whose name is exactly `name`
+   * A partial match is never used: it would check (or order) another product.
+   * @returns {Promise<Object|null>} The product, or null when it cannot be told
+   *   apart (several exact matches, or results possibly cut off)
+   * @throws {CrawlerError} PRODUCT_NOT_FOUND when no product has that name
+   * @private
+   */
+  static async _findProduct(account, name) {
+    // One row past the limit tells a full page apart from a cut-off one
+    // when EC-Force does not report a total
+    const { products, pagination } = await ProductLookupService.listProducts(
+      account,
+      { name, per_page: PRODUCT_SEARCH_LIMIT + 1 }
+    );
+    const truncated =
+      pagination.total_count != null
+        ? pagination.total_count > products.length
+        : products.length > PRODUCT_SEARCH_LIMIT;
+
+    const matches = products.filter((p) => p.name === name);
+    if (matches.length === 1 && !truncated) return matches[0];
+    if (matches.length > 0 || truncated) return null;
+
+    throw new CrawlerError(
+      `Product not found: ${name}`,
+      ErrorCodes.PRODUCT_NOT_FOUND,
+      422,
+      { product: name }
+    );
+  }
+
+  /**
+   * Requested variant (by variant_id or sku), or the first one like the crawler
+   * @private
+   */
+  static _findVariant(product, item) {
+    const variantId = item.variant_id != null ? String(item.variant_id) : null;
+    const sku = item.sku != null ? String(item.sku) : null;
+
+    if (!variantId && !sku) return product.variants[0] || null;
+
+    const variant = product.variants.find(
+      (v) => (variantId && v.id === variantId) || (sku && v.sku === sku)
+    );
+
+    if (!variant) {
+      throw new CrawlerError(
+        `Variant not found for product ${item.name}`,
+        ErrorCodes.VARIANT_NOT_FOUND,
+        422,
+        {
+          product: item.name,
+          variant_id: item.variant_id,
+          sku: item.sku,
+          availableVariants: product.variants.map(({ id, sku, name }) => ({
+            variant_id: id,
+            sku,
+            label: name,
+          })),
+        }
+      );
+    }
+
+    return variant;
+  }
+
+  /**
+   * Compare requested quantities (summed per variant) with stock
+   * Variants without stock information are let through.
+   * @private
+   */
+  static _checkStock(resolved) {
+    const requested = new Map();
+
+    for (const { item, variant } of resolved) {
+      if (!variant) continue;
+      const entry = requested.get(variant.id) || { item, variant, quantity: 0 };
+      entry.quantity += item.quantity || 1;
+      requested.set(variant.id, entry);
+    }
+
+    for (const { item, variant, quantity } of requested.values()) {
+      const { stock } = variant;
+      if (stock.available === null || stock.unlimited) continue;
+
+      const insufficient =
+        stock.quantity !== null && stock.quantity < quantity;
+      if (!stock.available || insufficient) {
+        throw new CrawlerError(
+          `Out of stock: ${item.name}${variant.name ? ` (${variant.name})` : ""}`,
+          ErrorCodes.OUT_OF_STOCK,
+          409,
+          {
+            product: item.name,
+            variant_id: variant.id,
+            sku: variant.sku,
+            requested: quantity,
+            available: stock.quantity,
+          }
+        );
+      }
+    }
+  }
+}
+
+module.exports = OrderPreflightService;
@@ -0,0 +1,257 @@
+const logger = require("../../utils/logger");
+const GetProductsService = require("../ecforce/GetProductsService");
+const GetProductService = require("../ecforce/GetProductService");
+const GetStockItemsService = require("../ecforce/GetStockItemsService");
+const { toCrawlerError } = require("../ecforce/errors");
+const { ErrorCodes } = require("../../middleware/errorHandler");
+const {
+  toNumber,
+  pick,
+  relationship,
+  findIncludedMany,
+} = require("../ecforce/jsonApi");
+
+// API filters -> EC-Force ransack search params
+const FILTER_PARAMS = {
+  name: "q[name_cont]",
+  number: "q[number_eq]",
+};
+
+const PRODUCT_INCLUDES = "variants";
+
+/**
+ * Reads products and live stock through the EC-Force admin API and
+ * normalizes them (name, variants, price, inventory).
+ *
+ * Stock comes from `stock_items`, fetched in one extra request per call
+ * for all variants involved, so availability is always current.
+ */
+class ProductLookupService {
+  /**
+   * Search products
+   * @param {Object} account - Account object with options.ec_force_info
+   * @param {Object} filters - name, number, page, per_page, plus raw `q[...]` params
+   * @returns {Promise<{products: Array<Object>, pagination: Object}>}
+   * @throws {CrawlerError} INVALID_CREDENTIALS or ECFORCE_API_ERROR
+   */
+  static async listProducts(account, filters = {}) {
+    const params = ProductLookupService.buildParams(filters);
+    const body = await ProductLookupService._call(GetProductsService, {
+      account,
+      params,
+    });
+
+    const data = Array.isArray(body.data) ? body.data : [];
+    const included = Array.isArray(body.included) ? body.included : [];
+    const stockByVariant = await ProductLookupService._getStock(
+      account,
+      data.flatMap(ProductLookupService._variantIds)
+    );
+
+    return {
+      products: data.map((product) =>
+        ProductLookupService.normalizeProduct(product, included, stockByVariant)
+      ),
+      pagination: {
+        page: params.page,
+        per_page: params.per,
+        total_count: toNumber(pick(body.meta, "total_count", "total")),
+        total_pages: toNumber(pick(body.meta, "total_pages")),
+      },
+    };
+  }
+
+  /**
+   * Get one product
+   * @param {Object} account - Account object with options.ec_force_info
+   * @param {string} productId - EC-Force product id
+   * @returns {Promise<Object>} Normalized product
+   * @throws {CrawlerError} PRODUCT_NOT_FOUND, INVALID_CREDENTIALS or ECFORCE_API_ERROR
+   */
+  static async getProduct(account, productId) {
+    const body = await ProductLookupService._call(
+      GetProductService,
+      { account, productId, params: { include: PRODUCT_INCLUDES } },
+      {
+        code: ErrorCodes.PRODUCT_NOT_FOUND,
+        message: `Product not found: ${productId}`,
+      }
+    );
+
+    const product = body.data || {};
+    const included = Array.isArray(body.included) ? body.included : [];
+    const stockByVariant = await ProductLookupService._getStock(
+      account,
+      ProductLookupService._variantIds(product)
+    );
+
+    return ProductLookupService.normalizeProduct(
+      product,
+      included,
+      stockByVariant
+    );
+  }
+
+  /**
+   * Get stock availability of a product's variants
+   * @param {Object} account - Account object with options.ec_force_info
+   * @param {string} productId - EC-Force product id
+   * @returns {Promise<Object>} { product_id, in_stock, variants: [{ id, sku, name, stock }] }
+   */
+  static async getProductStock(account, productId) {
+    const product = await ProductLookupService.getProduct(account, productId);
+
+    return {
+      product_id: product.id,
+      in_stock: product.in_stock,
+      variants: product.variants.map(({ id, sku, name, stock }) => ({
+        id,
+        sku,
+        name,
+        stock,
+      })),
+      checked_at: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Build EC-Force query params from API filters
+   * @param {Object} filters
+   * @returns {Object}
+   */
+  static buildParams(filters = {}) {
+    const params = {
+      include: PRODUCT_INCLUDES,
+      page: filters.page || 1,
+      per: filters.per_page || 20,
+    };
+
+    for (const [filter, param] of Object.entries(FILTER_PARAMS)) {
+      if (filters[filter]) params[param] = filters[filter];
+    }
+
+    // Pass other ransack conditions through as-is
+    for (const [key, value] of Object.entries(filters)) {
+      if (key.startsWith("q[")) params[key] = value;
+    }
+
+    return params;
+  }
+
+  /**
+   * Normalize one product resource
+   * @param {Object} product - JSON:API product resource
+   * @param {Array<Object>} included - Included resources of the response
+   * @param {Map<string, Object>} [stockByVariant] - Stock keyed by variant id
+   * @returns {Object}
+   */
+  static normalizeProduct(product, included = [], stockByVariant = new Map()) {
+    const attrs = product.attributes || {};
+    const variants = findIncludedMany(included, product, "variants").map(
+      (variant) => {
+        const variantAttrs = variant.attributes || {};
+        return {
+          id: String(variant.id),
+          sku: pick(variantAttrs, "sku", "number"),
+          name: pick(variantAttrs, "name", "option_values_name"),
+          price: toNumber(pick(variantAttrs, "price", "sales_price")),
+          stock:
+            stockByVariant.get(String(variant.id)) ||
+            ProductLookupService._normalizeStock(variantAttrs),
+        };
+      }
+    );
+
+    const prices = variants.map((v) => v.price).filter((p) => p !== null);
+    const availability = variants.map((v) => v.stock.available);
+    // null when EC-Force reported no stock information at all
+    let inStock = null;
+    if (availability.includes(true)) inStock = true;
+    else if (availability.includes(false)) inStock = false;
+
+    return {
+      id: String(product.id),
+      number: pick(attrs, "number", "code"),
+      name: pick(attrs, "name"),
+      status: pick(attrs, "state", "status"),
+      price:
+        toNumber(pick(attrs, "price", "sales_price")) ??
+        (prices.length > 0 ? Math.min(...prices) : null),
+      image_url: pick(attrs, "image_url", "thumbnail_url"),
+      in_stock: inStock,
+      variants,
+    };
+  }
+
+  /**
+   * Run an EC-Force service and return its JSON:API body
+   * @private
+   */
+  static async _call(Service, context, notFound = null) {
+    try {
+      await new Service(context).call();
+    } catch (error) {
+      logger.warn(`EC-Force ${Service.name} failed`, { error: error.message });
+      throw toCrawlerError(error, notFound);
+    }
+    return context.result || {};
+  }
+
+  /**
+   * Fetch stock items for variants, keyed by variant id
+   * @private
+   */
+  static async _getStock(account, variantIds) {
+    const stockByVariant = new Map();
+    if (variantIds.length === 0) return stockByVariant;
+
+    const body = await ProductLookupService._call(GetStockItemsService, {
+      account,
+      params: { "q[variant_id_in]": variantIds, per: variantIds.length },
+    });
+
+    for (const item of Array.isArray(body.data) ? body.data : []) {
+      const variantId =
+        relationship(item, "variant")?.id ?? item.attributes?.variant_id;
+      if (variantId !== undefined && variantId !== null) {
+        stockByVariant.set(
+          String(variantId),
+          ProductLookupService._normalizeStock(item.attributes)
+        );
+      }
+    }
+
+    return stockByVariant;
+  }
+
+  /**
+   * @private
+   */
+  static _variantIds(product) {
+    const refs = relationship(product, "variants") || [];
+    return refs.map((ref) => String(ref.id));
+  }
+
+  /**
+   * Stock from a stock item (or variant) attributes
+   * @private
+   */
+  static _normalizeStock(attrs = {}) {
+    const quantity = toNumber(
+      pick(attrs, "quantity", "stock_quantity", "count_on_hand")
+    );
+    const unlimited = pick(attrs, "unlimited", "stock_unlimited");
+
+    let available = null;
+    if (unlimited) available = true;
+    else if (quantity !== null) available = quantity > 0;
+
+    return {
+      quantity,
+      unlimited: unlimited === null ? null : Boolean(unlimited),
+      available,
+    };
+  }
+}
+
+module.exports = ProductLookupService;
@@ -2,17 +2,81 @@
  * Browser Pool Manager
  * Manages a pool of reusable Puppeteer browser instances for better performance
  * Reduces overhead of launching new browsers for each request
+ *
+ * Each acquisition gets a fresh incognito BrowserContext on a pooled browser,
+ * closed again on release, so cookies and storage from one shop's admin
+ * session never reach the next order. Sessions are reused across orders
+ * explicitly through SessionCookieStore instead.
+ *
+ * When every browser is busy, acquire() waits in a queue: FIFO per tenant
+ * (shop), served round-robin across tenants so one merchant's burst cannot
+ * starve the others. Waits are bounded by `acquireTimeout` and can be
+ * cancelled with an AbortSignal.
+ *
+ * A background maintenance loop keeps the pool in shape between orders:
+ * it reaps crashed or disconnected browsers, replaces idle ones using too
+ * much memory, scales idle extras back down to `minInstances` and launches
+ * replacements to stay at the minimum.
  */
 
+const fs = require('fs');
 const puppeteer = require('puppeteer');
+const config = require('../config');
 const logger = require('./logger');
-const { BROWSER_POOL } = require('../config/constants');
+const { CrawlerError, ErrorCodes } = require('../middleware/errorHandler');
+const {
+  updateBrowserPoolMetrics,
+  recordBrowserWaitTime,
+  recordBrowserRetirement,
+  recordBrowserReaped
+} = require('./metrics');
+
+/**
+ * Resident memory (MB) of a process and its children, from /proc (Linux only)
+ * Chromium runs renderers as child processes of the browser process.
+ * @param {number} pid
+ * @returns {number|null} null when /proc is not available
+ */
+function readProcessTreeMemoryMb(pid) {
+  try {
+    const status = fs.readFileSync(`/proc/${pid}/status`, 'utf8');
+    const rssKb = parseInt(status.match(/VmRSS:\s+(\d+)/)?.[1] || '0', 10);
+
+    let children = [];
+    try {
+      children = fs.readFileSync(`/proc/${pid}/task/${pid}/children`, 'utf8')
+        .trim()
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(Number);
+    } catch {
+      // Kernel without CONFIG_PROC_CHILDREN: browser process only
+    }
+
+    return children.reduce(
+      (total, child) => total + (readProcessTreeMemoryMb(child) || 0),
+      rssKb / 1024
+    );
+  } catch {
+    return null;
+  }
+}
 
 class BrowserPool {
   constructor(options = {}) {
-    this.minInstances = options.minInstances || BROWSER_POOL.MIN_INSTANCES;
-    this.maxInstances = options.maxInstances || BROWSER_POOL.MAX_INSTANCES;
-    this.instanceTimeout = options.instanceTimeout || BROWSER_POOL.INSTANCE_TIMEOUT;
+    const settings = { ...config.browserPool, ...options };
+    this.minInstances = settings.minInstances;
+    this.maxInstances = settings.maxInstances;
+    this.instanceTimeout = settings.instanceTimeout;
+    this.maxUsageCount = settings.maxUsageCount;
+    this.warmInstances = Math.min(
+      Math.max(settings.warmInstances, this.minInstances),
+      this.maxInstances
+    );
+    this.idleTimeout = settings.idleTimeout;
+    this.maintenanceInterval = settings.maintenanceInterval;
+    this.maxMemoryMb = settings.maxMemoryMb;
+    this.acquireTimeout = settings.acquireTimeout;
     this.launchOptions = options.launchOptions || {
       headless: true,
       args: [
@@ -29,7 +93,15 @@ class BrowserPool {
     this.pool = [];
     this.available = [];
     this.inUse = new Set();
+    // Browsers being launched, counted against maxInstances
+    this.pending = 0;
+    // tenant -> FIFO of waiting acquisitions; Map order is the round-robin order
+    this.waiters = new Map();
     this.initialized = false;
+    this.maintenanceTimer = null;
+    this.maintaining = false;
+    // Outcome of the last maintenance run, reported by healthCheck()
+    this.lastMaintenance = null;
   }
 
   /**
@@ -41,16 +113,18 @@ class BrowserPool {
       return;
     }
 
-    logger.info(`Initializing browser pool with ${this.minInstances} instances`);
+    logger.info(`Initializing browser pool with ${this.warmInstances} instances (min: ${this.minInstances})`);
 
     try {
-      for (let i = 0; i < this.minInstances; i++) {
+      for (let i = 0; i < this.warmInstances; i++) {
         const instance = await this.createInstance();
         this.pool.push(instance);
         this.available.push(instance);
       }
 
       this.initialized = true;
+      this.startMaintenance();
+      this.updateMetrics();
       logger.info(`Browser pool initialized successfully with ${this.pool.length} instances`);
     } catch (error) {
       logger.error('Failed to initialize browser pool', { error: error.message });
@@ -68,43 +142,86 @@ class BrowserPool {
       browser,
       createdAt: Date.now(),
       lastUsed: Date.now(),
-      usageCount: 0
+      usageCount: 0,
+      // Incognito context of the current acquisition
+      context: null,
+      // Set by the maintenance loop
+      memoryMb: null,
+      removed: false
     };
 
+    // Crashed Chromium: drop it right away if idle, otherwise on release
+    browser.on('disconnected', () => {
+      if (!this._isIdle(instance)) return;
+      logger.warn(`Browser instance ${instance.id} disconnected, reaping`);
+      recordBrowserReaped('disconnected');
+      this.removeInstance(instance)
+        .then(() => this._ensureMinimum())
+        .catch((error) =>
+          logger.error('Failed to replace disconnected browser', { error: error.message })
+        );
+    });
+
     logger.debug(`Created browser instance: ${instance.id}`);
     return instance;
   }
 
+  /**
+   * Launch a browser and add it to the pool
+   * @private
+   */
+  async _addInstance() {
+    this.pending++;
+    try {
+      const instance = await this.createInstance();
+      this.pool.push(instance);
+      return instance;
+    } finally {
+      this.pending--;
+    }
+  }
+
   /**
    * Acquire a browser instance from the pool
+   * @param {Object} [options]
+   * @param {string} [options.tenant] - Shop the browser is for (queue fairness)
+   * @param {AbortSignal} [options.signal] - Cancels waiting, e.g. on client disconnect
+   * @param {number} [options.timeout] - Max wait in ms (defaults to acquireTimeout)
+   * @returns {Promise<BrowserContext>} Fresh incognito context, pass it to release()
+   * @throws {CrawlerError} BROWSER_POOL_EXHAUSTED on timeout, REQUEST_ABORTED on abort
    */
-  async acquire() {
+  async acquire({ tenant = 'default', signal, timeout = this.acquireTimeout } = {}) {
     if (!this.initialized) {
       await this.initialize();
     }
 
-    // Try to get an available instance
-    let instance = this.available.pop();
+    if (signal?.aborted) throw this._abortedError(tenant);
 
-    // If no available instances, create a new one if under max
-    if (!instance && this.pool.length < this.maxInstances) {
-      logger.debug('No available instances, creating new one');
-      instance = await this.createInstance();
-      this.pool.push(instance);
+    const waitStart = Date.now();
+    let instance = null;
+
+    // Queued requests go first; only take a browser directly when nobody waits
+    if (this.waiters.size === 0) {
+      instance = this.available.pop();
+
+      // If no available instances, create a new one if under max
+      if (!instance && this.pool.length + this.pending < this.maxInstances) {
+        logger.debug('No available instances, creating new one');
+        instance = await this._addInstance();
+      }
     }
 
-    // If still no instance, wait for one to become available
+    // If still no instance, wait in the queue
     if (!instance) {
-      logger.debug('Pool at max capacity, waiting for available instance');
-      instance = await this.waitForAvailable();
+      logger.debug(`Pool at max capacity, queueing acquisition - tenant: ${tenant}, queued: ${this.queueDepth()}`);
+      instance = await this._enqueue(tenant, timeout, signal);
     }
 
     // Check if instance is still valid
     if (!instance.browser.isConnected()) {
       logger.warn(`Browser instance ${instance.id} is disconnected, creating new one`);
       await this.removeInstance(instance);
-      instance = await this.createInstance();
-      this.pool.push(instance);
+      instance = await this._addInstance();
     }
 
     // Mark as in use
@@ -112,95 +229,356 @@ class BrowserPool {
     instance.lastUsed = Date.now();
     instance.usageCount++;
 
+    try {
+      instance.context = await instance.browser.createBrowserContext();
+    } catch (error) {
+      // Broken browser: drop it rather than hand it out again
+      await this.removeInstance(instance);
+      throw error;
+    }
+
+    recordBrowserWaitTime((Date.now() - waitStart) / 1000);
+    this.updateMetrics();
+
     logger.debug(`Acquired browser instance: ${instance.id} (usage: ${instance.usageCount})`);
-    return instance.browser;
+    return instance.context;
   }
 
   /**
    * Release a browser instance back to the pool
+   * Closes the acquisition's context, discarding its cookies, storage and pages.
+   * @param {BrowserContext} context - Context returned by acquire()
    */
-  async release(browser) {
-    const instance = this.pool.find(inst => inst.browser === browser);
+  async release(context) {
+    const instance = this.pool.find(inst => inst.context === context);
     
     if (!instance) {
       logger.warn('Attempted to release browser not in pool');
       return;
     }
 
+    instance.context = null;
+    try {
+      await context.close();
+    } catch (error) {
+      // A context that cannot be closed may still hold another shop's session
+      logger.error(`Error closing browser context of ${instance.id}, removing instance`, { error: error.message });
+      await this.removeInstance(instance);
+      this._dispatch();
+      return;
+    }
+
     // Check if instance should be retired (too old or too many uses)
     const age = Date.now() - instance.createdAt;
     const shouldRetire = 
       age > this.instanceTimeout || 
-      instance.usageCount > BROWSER_POOL.MAX_USAGE_COUNT;
+      instance.usageCount > this.maxUsageCount;
 
     if (shouldRetire) {
       logger.info(`Retiring browser instance ${instance.id} (age: ${Math.floor(age/1000)}s, usage: ${instance.usageCount})`);
+      recordBrowserRetirement(age / 1000, instance.usageCount);
       await this.removeInstance(instance);
       
       // Create replacement if below minimum
-      if (this.pool.length < this.minInstances) {
-        const newInstance = await this.createInstance();
-        this.pool.push(newInstance);
+      if (this.pool.length + this.pending < this.minInstances) {
+        const newInstance = await this._addInstance();
         this.available.push(newInstance);
       }
     } else {
-      // Close all pages except one to clean up
-      const pages = await browser.pages();
-      for (let i = 1; i < pages.length; i++) {
-        await pages[i].close();
-      }
-
       // Return to available pool
       this.inUse.delete(instance);
       this.available.push(instance);
       logger.debug(`Released browser instance: ${instance.id}`);
     }
+
+    this._dispatch();
+    this.updateMetrics();
   }
 
   /**
-   * Wait for an instance to become available
+   * Wait in the tenant's queue for an instance
+   * @private
    */
-  async waitForAvailable() {
-    return new Promise((resolve) => {
-      const checkInterval = setInterval(() => {
-        const instance = this.available.pop();
-        if (instance) {
-          clearInterval(checkInterval);
-          resolve(instance);
-        }
-      }, 100);
+  _enqueue(tenant, timeout, signal) {
+    return new Promise((resolve, reject) => {
+      const waiter = { tenant, enqueuedAt: Date.now() };
+
+      const settle = () => {
+        clearTimeout(waiter.timer);
+        signal?.removeEventListener('abort', waiter.onAbort);
+        this._removeWaiter(waiter);
+      };
+
+      waiter.resolve = (instance) => {
+        settle();
+        resolve(instance);
+      };
+
+      waiter.fail = (error) => {
+        settle();
+        reject(error);
+      };
+
+      waiter.timer = setTimeout(() => {
+        // Other acquisitions still queued behind this one
+        const queued = this.queueDepth() - 1;
+        logger.warn(`Browser pool exhausted - tenant: ${tenant}, waited: ${timeout}ms, queued: ${queued}`);
+        waiter.fail(new CrawlerError(
+          'No browser available, try again later',
+          ErrorCodes.BROWSER_POOL_EXHAUSTED,
+          503,
+          { timeout_ms: timeout, queued, max_instances: this.maxInstances }
+        ));
+      }, timeout);
+
+      waiter.onAbort = () => waiter.fail(this._abortedError(tenant));
+      signal?.addEventListener('abort', waiter.onAbort, { once: true });
+
+      if (!this.waiters.has(tenant)) this.waiters.set(tenant, []);
+      this.waiters.get(tenant).push(waiter);
+      this.updateMetrics();
     });
   }
 
+  /**
+   * @private
+   */
+  _removeWaiter(waiter) {
+    const queue = this.waiters.get(waiter.tenant);
+    if (!queue) return;
+
+    const index = queue.indexOf(waiter);
+    if (index !== -1) queue.splice(index, 1);
+    if (queue.length === 0) this.waiters.delete(waiter.tenant);
+  }
+
+  /**
+   * Hand available instances to waiters, one tenant at a time
+   * @private
+   */
+  _dispatch() {
+    while (this.available.length > 0 && this.waiters.size > 0) {
+      // Oldest waiter of the tenant at the head; the tenant then moves to the back
+      const [tenant, queue] = this.waiters.entries().next().value;
+      const waiter = queue[0];
+      this.waiters.delete(tenant);
+      if (queue.length > 1) this.waiters.set(tenant, queue);
+
+      waiter.resolve(this.available.pop());
+    }
+
+    // Capacity freed by a removed instance: launch one for the next waiter
+    if (this.waiters.size > 0 && this.pool.length + this.pending < this.maxInstances) {
+      this._addInstance()
+        .then((instance) => {
+          this.available.push(instance);
+          this._dispatch();
+          this.updateMetrics();
+        })
+        .catch((error) => {
+          logger.error('Failed to launch browser for queued acquisition', { error: error.message });
+        });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _abortedError(tenant) {
+    return new CrawlerError(
+      'Request aborted while waiting for a browser',
+      ErrorCodes.REQUEST_ABORTED,
+      499,
+      { tenant }
+    );
+  }
+
+  /**
+   * Number of queued acquisitions
+   * @returns {number}
+   */
+  queueDepth() {
+    let depth = 0;
+    for (const queue of this.waiters.values()) depth += queue.length;
+    return depth;
+  }
+
   /**
    * Remove an instance from the pool
+   * Taken out of the pool before closing, so acquire() cannot hand it out meanwhile.
    */
   async removeInstance(instance) {
+    instance.removed = true;
+    this.pool = this.pool.filter(inst => inst.id !== instance.id);
+    this.available = this.available.filter(inst => inst.id !== instance.id);
+    this.inUse.delete(instance);
+    this.updateMetrics();
+
     try {
       await instance.browser.close();
     } catch (error) {
       logger.error(`Error closing browser instance ${instance.id}`, { error: error.message });
     }
+  }
 
-    this.pool = this.pool.filter(inst => inst.id !== instance.id);
-    this.available = this.available.filter(inst => inst.id !== instance.id);
-    this.inUse.delete(instance);
+  /**
+   * Whether an instance is sitting in the available list (not acquired or being removed)
+   * Check right before removeInstance(), with no await in between.
+   * @private
+   */
+  _isIdle(instance) {
+    return !instance.removed && !this.inUse.has(instance) && this.available.includes(instance);
+  }
+
+  /**
+   * Start the background maintenance loop
+   */
+  startMaintenance() {
+    if (this.maintenanceTimer) return;
+
+    this.maintenanceTimer = setInterval(() => {
+      this.maintain().catch((error) =>
+        logger.error('Browser pool maintenance failed', { error: error.message })
+      );
+    }, this.maintenanceInterval);
+    // Never keep the process alive just for maintenance
+    this.maintenanceTimer.unref();
+  }
+
+  /**
+   * Stop the background maintenance loop
+   */
+  stopMaintenance() {
+    clearInterval(this.maintenanceTimer);
+    this.maintenanceTimer = null;
+  }
+
+  /**
+   * One maintenance pass over idle instances
+   * In-use instances are left alone; release() handles them.
+   * @returns {Promise<Object>} What was reaped, scaled down and launched
+   */
+  async maintain() {
+    if (!this.initialized || this.maintaining) return this.lastMaintenance;
+    this.maintaining = true;
+
+    const result = { reaped: 0, scaledDown: 0, launched: 0 };
+    try {
+      const now = Date.now();
+
+      for (const instance of this.pool) {
+        instance.memoryMb = this._readMemory(instance);
+      }
+
+      for (const instance of [...this.available]) {
+        // Acquired or removed while an earlier instance was closing
+        if (!this._isIdle(instance)) continue;
+
+        let reason = null;
+        if (!instance.browser.isConnected()) reason = 'disconnected';
+        else if (instance.memoryMb > this.maxMemoryMb) reason = 'memory';
+
+        if (reason) {
+          logger.warn(`Reaping browser instance ${instance.id} - reason: ${reason}, memoryMb: ${instance.memoryMb}`);
+          recordBrowserReaped(reason);
+          await this.removeInstance(instance);
+          result.reaped++;
+        }
+      }
+
+      // Longest idle first, down to the minimum
+      const idle = this.available
+        .filter(inst => now - inst.lastUsed > this.idleTimeout)
+        .sort((a, b) => a.lastUsed - b.lastUsed);
+      for (const instance of idle) {
+        if (this.pool.length <= this.minInstances) break;
+        if (!this._isIdle(instance)) continue;
+        logger.info(`Scaling down idle browser instance ${instance.id} (idle: ${Math.floor((now - instance.lastUsed) / 1000)}s)`);
+        recordBrowserReaped('idle');
+        await this.removeInstance(instance);
+        result.scaledDown++;
+      }
+
+      result.launched = await this._ensureMinimum();
+      result.errors = [];
+    } catch (error) {
+      result.errors = [error.message];
+      throw error;
+    } finally {
+      this.lastMaintenance = { ...result, at: new Date().toISOString() };
+      this.maintaining = false;
+      this.updateMetrics();
+    }
+
+    return this.lastMaintenance;
+  }
+
+  /**
+   * Launch instances until the pool is back at minInstances
+   * @returns {Promise<number>} Instances launched
+   * @private
+   */
+  async _ensureMinimum() {
+    let launched = 0;
+    while (this.initialized && this.pool.length + this.pending < this.minInstances) {
+      const instance = await this._addInstance();
+      this.available.push(instance);
+      launched++;
+      this._dispatch();
+    }
+    if (launched > 0) {
+      logger.info(`Launched ${launched} browser instance(s) to keep the pool at minimum`);
+      this.updateMetrics();
+    }
+    return launched;
+  }
+
+  /**
+   * @private
+   */
+  _readMemory(instance) {
+    const pid = instance.browser.process?.()?.pid;
+    if (!pid) return null;
+
+    const memoryMb = readProcessTreeMemoryMb(pid);
+    return memoryMb === null ? null : Math.round(memoryMb);
+  }
+
+  /**
+   * Publish pool size gauges
+   */
+  updateMetrics() {
+    updateBrowserPoolMetrics({
+      total: this.pool.length,
+      available: this.available.length,
+      inUse: this.inUse.size,
+      queued: this.queueDepth()
+    });
   }
 
   /**
    * Get pool statistics
    */
   getStats() {
+    const queuedByTenant = {};
+    for (const [tenant, queue] of this.waiters) {
+      queuedByTenant[tenant] = queue.length;
+    }
+
     return {
       total: this.pool.length,
       available: this.available.length,
       inUse: this.inUse.size,
+      queued: this.queueDepth(),
+      queuedByTenant,
       instances: this.pool.map(inst => ({
         id: inst.id,
         age: Math.floor((Date.now() - inst.createdAt) / 1000),
         usageCount: inst.usageCount,
         lastUsed: Math.floor((Date.now() - inst.lastUsed) / 1000) + 's ago',
-        isConnected: inst.browser.isConnected()
+        isConnected: inst.browser.isConnected(),
+        memoryMb: inst.memoryMb,
+        openContexts: inst.browser.browserContexts().length - 1
       }))
     };
   }
@@ -210,6 +588,22 @@ class BrowserPool {
    */
   async shutdown() {
     logger.info('Shutting down browser pool');
+    this.stopMaintenance();
+
+    // Fail queued acquisitions instead of leaving them waiting
+    for (const queue of this.waiters.values()) {
+      for (const waiter of [...queue]) {
+        waiter.fail(new CrawlerError(
+          'Browser pool is shutting down',
+          ErrorCodes.BROWSER_POOL_EXHAUSTED,
+          503
+        ));
+      }
+    }
+
+    // Closing is not a crash: keep the disconnect handler from reaping
+    this.initialized = false;
+    this.pool.forEach(instance => { instance.removed = true; });
 
     const closePromises = this.pool.map(instance => 
       instance.browser.close().catch(err => 
@@ -222,7 +616,7 @@ class BrowserPool {
     this.pool = [];
     this.available = [];
     this.inUse.clear();
-    this.initialized = false;
+    this.updateMetrics();
 
     logger.info('Browser pool shut down successfully');
   }
@@ -235,9 +629,21 @@ class BrowserPool {
     const health = {
       healthy: true,
       stats,
+      maintenance: this.lastMaintenance,
       issues: []
     };
 
+    // The loop keeps the pool healthy; a stalled loop means nobody does
+    const lastRun = this.lastMaintenance ? Date.parse(this.lastMaintenance.at) : null;
+    if (this.initialized && lastRun && Date.now() - lastRun > this.maintenanceInterval * 3) {
+      health.healthy = false;
+      health.issues.push(`Maintenance has not run for ${Math.floor((Date.now() - lastRun) / 1000)}s`);
+    }
+    if (this.lastMaintenance?.errors?.length > 0) {
+      health.healthy = false;
+      health.issues.push(`Last maintenance failed: ${this.lastMaintenance.errors.join(', ')}`);
+    }
+
     // Check if any instances are disconnected
     for (const instance of this.pool) {
       if (!instance.browser.isConnected()) {
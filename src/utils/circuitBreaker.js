@@ -12,11 +12,14 @@
  * - Atomic operations with Redis
  * - Prometheus metrics integration
  * - Automatic state transitions
+ * - Per-shop EC-Force breakers, created on demand, so one failing shop
+ *   does not block orders for every other tenant
  */
 
 const logger = require('./logger');
 const { CIRCUIT_BREAKER } = require('../config/constants');
 const config = require('../config');
+const { getRedisClient, closeRedisClient } = require('./redis');
 const {
   updateCircuitBreakerState,
   recordCircuitBreakerFailure,
@@ -30,53 +33,6 @@ const CIRCUIT_STATE = {
   HALF_OPEN: 'HALF_OPEN'
 };
 
-// Redis client (initialized in getRedisClient)
-let redisClient = null;
-
-/**
- * Get or create Redis client
- */
-function getRedisClient() {
-  if (redisClient && redisClient.status === 'ready') {
-    return redisClient;
-  }
-
-  const Redis = require('ioredis');
-  const config = require('../config');
-  
-  if (!config.redis || !config.redis.url) {
-    logger.warn('Redis not configured, circuit breaker will work in standalone mode');
-    return null;
-  }
-
-  try {
-    redisClient = new Redis(config.redis.url, {
-      password: config.redis.password,
-      db: config.redis.db || 0,
-      retryStrategy: (times) => {
-        const delay = Math.min(times * 50, 2000);
-        return delay;
-      },
-      maxRetriesPerRequest: 3,
-      enableReadyCheck: true,
-      lazyConnect: false
-    });
-
-    redisClient.on('error', (err) => {
-      logger.error('Redis connection error', { error: err.message });
-    });
-
-    redisClient.on('connect', () => {
-      logger.info('Redis connected for circuit breaker');
-    });
-
-    return redisClient;
-  } catch (error) {
-    logger.error('Failed to create Redis client', { error: error.message });
-    return null;
-  }
-}
-
 /**
  * Distributed Circuit Breaker with Redis
  */
@@ -91,6 +47,8 @@ class CircuitBreaker {
     this.successThreshold = options.successThreshold || CIRCUIT_BREAKER.SUCCESS_THRESHOLD;
     this.timeout = options.timeout || CIRCUIT_BREAKER.TIMEOUT;
     this.resetTimeout = options.resetTimeout || CIRCUIT_BREAKER.RESET_TIMEOUT;
+    // Decides whether an error counts towards opening the circuit
+    this.isFailure = options.isFailure || (() => true);
     
     // Local cache (fallback when Redis unavailable)
     this.localState = CIRCUIT_STATE.CLOSED;
@@ -139,7 +97,14 @@ class CircuitBreaker {
       await this.onSuccess();
       return result;
     } catch (error) {
-      await this.onFailure(error);
+      if (this.isFailure(error)) {
+        await this.onFailure(error);
+      } else {
+        logger.debug(`Circuit breaker ignoring error: ${this.name}`, {
+          service: this.service,
+          code: error.code
+        });
+      }
       throw error;
     }
   }
@@ -218,11 +183,12 @@ class CircuitBreaker {
 
   /**
    * Open the circuit
+   * @param {number} [resetTimeout] - How long to stay open (defaults to the configured reset timeout)
    */
-  async open() {
+  async open(resetTimeout = this.resetTimeout) {
     const oldState = await this.getState();
     await this.setState(CIRCUIT_STATE.OPEN);
-    await this.setNextAttempt(Date.now() + this.resetTimeout);
+    await this.setNextAttempt(Date.now() + resetTimeout);
     await this.resetSuccess();
     
     // Record state transition
@@ -234,7 +200,7 @@ class CircuitBreaker {
     logger.warn(`Circuit breaker opened: ${this.name}`, {
       service: this.service,
       failureCount: await this.getFailureCount(),
-      resetAt: new Date(Date.now() + this.resetTimeout).toISOString()
+      resetAt: new Date(Date.now() + resetTimeout).toISOString()
     });
   }
 
@@ -408,15 +374,8 @@ class CircuitBreaker {
 }
 
 // Singleton instances for different services
+// (EC-Force shop breakers are added on demand by getShopCircuitBreaker)
 const circuitBreakers = {
-  ecforce: new CircuitBreaker('ec-force', {
-    service: 'ecforce',
-    failureThreshold: CIRCUIT_BREAKER.FAILURE_THRESHOLD,
-    successThreshold: CIRCUIT_BREAKER.SUCCESS_THRESHOLD,
-    timeout: (config.circuitBreaker && config.circuitBreaker.timeout) || CIRCUIT_BREAKER.TIMEOUT, // use centralized default (ms)
-    resetTimeout: CIRCUIT_BREAKER.RESET_TIMEOUT
-  }),
-
   gcs: new CircuitBreaker('google-cloud-storage', {
     service: 'gcs',
     failureThreshold: 3,
@@ -436,6 +395,93 @@ function getCircuitBreaker(name) {
   return circuitBreakers[name];
 }
 
+/**
+ * Normalize a shop URL to the host used as its breaker name
+ */
+function getShopKey(shopUrl) {
+  try {
+    return new URL(shopUrl).host.toLowerCase() || 'unknown';
+  } catch {
+    return 'unknown';
+  }
+}
+
+// The admin API strategy giving up before sending anything (the order then
+// goes through the browser), whatever CIRCUIT_BREAKER_IGNORED_ERROR_CODES says
+const NEVER_SHOP_FAILURES = ['ORDER_API_UNSUPPORTED'];
+
+/**
+ * Customer-caused errors (validation, unknown variant...) say nothing about
+ * the shop's health, so they do not count as failures
+ */
+function isShopFailure(error) {
+  return (
+    !NEVER_SHOP_FAILURES.includes(error.code) &&
+    !config.circuitBreaker.ignoredErrorCodes.includes(error.code)
+  );
+}
+
+/**
+ * Get (or create) the EC-Force circuit breaker for a shop
+ * Redis keys are namespaced per shop: circuit:ecforce:<host>:*
+ * @param {string} shopUrl - EC-Force shop URL
+ */
+function getShopCircuitBreaker(shopUrl) {
+  const shop = getShopKey(shopUrl);
+  const key = `ecforce:${shop}`;
+
+  if (!circuitBreakers[key]) {
+    circuitBreakers[key] = new CircuitBreaker(shop, {
+      service: 'ecforce',
+      failureThreshold: CIRCUIT_BREAKER.FAILURE_THRESHOLD,
+      successThreshold: CIRCUIT_BREAKER.SUCCESS_THRESHOLD,
+      timeout: config.circuitBreaker.timeout || CIRCUIT_BREAKER.TIMEOUT,
+      resetTimeout: config.circuitBreaker.resetTimeout || CIRCUIT_BREAKER.RESET_TIMEOUT,
+      isFailure: isShopFailure
+    });
+    logger.debug(`Circuit breaker created for shop: ${shop}`);
+  }
+
+  return circuitBreakers[key];
+}
+
+/**
+ * Find an existing circuit breaker by the name shown in its status
+ * (e.g. "google-cloud-storage" or a shop host). Never creates one - shop
+ * breakers used on other pods are registered by loadShopCircuitBreakers.
+ * @param {string} name - Circuit breaker name
+ * @returns {CircuitBreaker|null}
+ */
+function findCircuitBreaker(name) {
+  const target = String(name).toLowerCase();
+  return Object.values(circuitBreakers).find(cb => cb.name === target) || null;
+}
+
+/**
+ * Register shop breakers that other pods have state for in Redis,
+ * so listings cover the whole deployment and not just this pod
+ */
+async function loadShopCircuitBreakers() {
+  const redis = getRedisClient();
+  if (!redis) return;
+
+  const prefix = 'circuit:ecforce:';
+  let cursor = '0';
+  try {
+    do {
+      const [next, keys] = await redis.scan(cursor, 'MATCH', `${prefix}*`, 'COUNT', 100);
+      cursor = next;
+      for (const key of keys) {
+        // circuit:ecforce:<host>:<state|failures|success|next>
+        const shop = key.slice(prefix.length, key.lastIndexOf(':'));
+        if (shop) getShopCircuitBreaker(`https://${shop}`);
+      }
+    } while (cursor !== '0');
+  } catch (error) {
+    logger.error('Redis error loading shop circuit breakers', { error: error.message });
+  }
+}
+
 /**
  * Get all circuit breaker statuses
  */
@@ -450,19 +496,15 @@ async function getAllStatuses() {
  * Graceful shutdown - close Redis connection
  */
 async function shutdown() {
-  if (redisClient) {
-    try {
-      await redisClient.quit();
-      logger.info('Circuit breaker Redis connection closed');
-    } catch (error) {
-      logger.error('Error closing Redis connection', { error: error.message });
-    }
-  }
+  await closeRedisClient();
 }
 
 module.exports = {
   CircuitBreaker,
   getCircuitBreaker,
+  getShopCircuitBreaker,
+  findCircuitBreaker,
+  loadShopCircuitBreakers,
   getAllStatuses,
   shutdown,
   CIRCUIT_STATE
@@ -0,0 +1,45 @@
+/**
+ * AES-256-GCM encryption for secrets stored outside the process
+ * (session cookies, queued order payloads). The key is derived from a
+ * configured secret; payloads are "<iv>.<tag>.<data>" in base64.
+ */
+
+const crypto = require('crypto');
+
+const deriveKey = (secret) => crypto.createHash('sha256').update(secret).digest();
+
+/**
+ * Encrypt a string
+ * @param {string} plaintext
+ * @param {string} secret - Configured secret
+ * @returns {string}
+ */
+function encrypt(plaintext, secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(secret), iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data]
+    .map((part) => part.toString('base64'))
+    .join('.');
+}
+
+/**
+ * Decrypt a payload produced by encrypt()
+ * @param {string} payload
+ * @param {string} secret - Configured secret
+ * @returns {string}
+ * @throws {Error} If the payload was tampered with or the secret differs
+ */
+function decrypt(payload, secret) {
+  const [iv, tag, data] = payload
+    .split('.')
+    .map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(secret), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  encrypt,
+  decrypt,
+};
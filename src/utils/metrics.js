@@ -36,7 +36,8 @@ const httpRequestTotal = new client.Counter({
 const httpRequestsInProgress = new client.Gauge({
   name: 'http_requests_in_progress',
   help: 'Number of HTTP requests currently being processed',
-  labelNames: ['method', 'route'],
+  // No route label: the route is only known once Express has matched it
+  labelNames: ['method'],
   registers: [register]
 });
 
@@ -49,10 +50,23 @@ const browserPoolSize = new client.Gauge({
   registers: [register]
 });
 
+const browserPoolQueueDepth = new client.Gauge({
+  name: 'browser_pool_queue_depth',
+  help: 'Number of acquisitions waiting for a browser',
+  registers: [register]
+});
+
+const browserPoolReaped = new client.Counter({
+  name: 'browser_pool_reaped_total',
+  help: 'Browser instances removed by pool maintenance',
+  labelNames: ['reason'], // disconnected, memory, idle
+  registers: [register]
+});
+
 const browserPoolWaitTime = new client.Histogram({
   name: 'browser_pool_wait_time_seconds',
   help: 'Time spent waiting for available browser',
-  buckets: [0.01, 0.1, 0.5, 1, 2, 5, 10],
+  buckets: [0.01, 0.1, 0.5, 1, 2, 5, 10, 30, 60],
   registers: [register]
 });
 
@@ -128,7 +142,7 @@ const crawlerErrors = new client.Counter({
 const crawlerStepDuration = new client.Histogram({
   name: 'crawler_step_duration_seconds',
   help: 'Duration of individual crawler steps',
-  labelNames: ['step'], // login, navigate, fill_form, submit, extract
+  labelNames: ['step', 'status', 'shop'], // step: init_browser, login, navigate, fill_form, submit, confirm, extract
   buckets: [0.5, 1, 2, 5, 10, 20, 30],
   registers: [register]
 });
@@ -168,7 +182,7 @@ const gcsUploadDuration = new client.Histogram({
 const gcsUploadTotal = new client.Counter({
   name: 'gcs_uploads_total',
   help: 'Total number of GCS uploads',
-  labelNames: ['status'], // success, failed
+  labelNames: ['status'], // success, failed, skipped (circuit open)
   registers: [register]
 });
 
@@ -185,9 +199,9 @@ function recordHttpRequest(method, route, statusCode, duration) {
 /**
  * Track HTTP request in progress
  */
-function startHttpRequest(method, route) {
-  httpRequestsInProgress.labels(method, route).inc();
-  return () => httpRequestsInProgress.labels(method, route).dec();
+function startHttpRequest(method) {
+  httpRequestsInProgress.labels(method).inc();
+  return () => httpRequestsInProgress.labels(method).dec();
 }
 
 /**
@@ -197,6 +211,7 @@ function updateBrowserPoolMetrics(stats) {
   browserPoolSize.labels('total').set(stats.total);
   browserPoolSize.labels('available').set(stats.available);
   browserPoolSize.labels('in_use').set(stats.inUse);
+  browserPoolQueueDepth.set(stats.queued || 0);
 }
 
 /**
@@ -214,6 +229,13 @@ function recordBrowserRetirement(ageSeconds, usageCount) {
   browserInstanceUsage.observe(usageCount);
 }
 
+/**
+ * Record a browser removed by pool maintenance
+ */
+function recordBrowserReaped(reason) {
+  browserPoolReaped.labels(reason).inc();
+}
+
 /**
  * Update circuit breaker state
  */
@@ -259,10 +281,10 @@ function recordCrawlerError(errorCode, shop) {
 }
 
 /**
- * Record crawler step duration
+ * Record crawler step duration and outcome
  */
-function recordCrawlerStep(step, durationSeconds) {
-  crawlerStepDuration.labels(step).observe(durationSeconds);
+function recordCrawlerStep(step, status, shop, durationSeconds) {
+  crawlerStepDuration.labels(step, status, shop).observe(durationSeconds);
 }
 
 /**
@@ -272,6 +294,17 @@ function recordScreenshot(type) {
   crawlerScreenshots.labels(type).inc();
 }
 
+/**
+ * Host of a shop URL, used as the `shop` label
+ */
+function getShopLabel(shopUrl) {
+  try {
+    return new URL(shopUrl).hostname || 'unknown';
+  } catch {
+    return 'unknown';
+  }
+}
+
 /**
  * Record order created
  */
@@ -321,6 +354,7 @@ module.exports = {
   updateBrowserPoolMetrics,
   recordBrowserWaitTime,
   recordBrowserRetirement,
+  recordBrowserReaped,
   
   // Circuit Breaker
   updateCircuitBreakerState,
@@ -335,6 +369,7 @@ module.exports = {
   recordScreenshot,
   
   // Business
+  getShopLabel,
   recordOrderCreated,
   recordOrderFailed,
   
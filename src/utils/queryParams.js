@@ -0,0 +1,149 @@
+/**
+ * Query parameter parsing for EC-Force lookup endpoints
+ * Parsers push `{ field, message }` entries onto `errors` instead of
+ * throwing, so a controller can report every invalid parameter at once.
+ */
+
+const { CrawlerError, ErrorCodes } = require('../middleware/errorHandler');
+
+const MAX_PER_PAGE = 100;
+
+// EC-Force internal ids are numeric; anything else would be spliced into the admin URL path
+const ID_PATTERN = /^\d+$/;
+
+/**
+ * Parse an integer within [min, max]
+ * @returns {number|undefined|null} undefined if absent, null if invalid
+ */
+function parseInteger(value, min, max) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) return null;
+  return number;
+}
+
+/**
+ * Copy non-empty string filters from the query
+ * @param {Object} query - req.query
+ * @param {Array<string>} fields - Allowed filter names
+ * @param {Array<Object>} errors - Collected validation errors
+ * @returns {Object}
+ */
+function parseStringFilters(query, fields, errors) {
+  const filters = {};
+
+  for (const field of fields) {
+    if (query[field] === undefined) continue;
+    if (typeof query[field] !== 'string' || !query[field].trim()) {
+      errors.push({ field, message: `${field} must be a non-empty string` });
+      continue;
+    }
+    filters[field] = query[field].trim();
+  }
+
+  return filters;
+}
+
+/**
+ * Parse page / per_page
+ * @param {Object} query - req.query
+ * @param {Array<Object>} errors - Collected validation errors
+ * @returns {{page?: number, per_page?: number}}
+ */
+function parsePagination(query, errors) {
+  const pagination = {};
+
+  const page = parseInteger(query.page, 1, Infinity);
+  if (page === null) {
+    errors.push({ field: 'page', message: 'page must be a positive integer' });
+  } else if (page !== undefined) {
+    pagination.page = page;
+  }
+
+  const perPage = parseInteger(query.per_page, 1, MAX_PER_PAGE);
+  if (perPage === null) {
+    errors.push({
+      field: 'per_page',
+      message: `per_page must be an integer between 1 and ${MAX_PER_PAGE}`,
+    });
+  } else if (perPage !== undefined) {
+    pagination.per_page = perPage;
+  }
+
+  return pagination;
+}
+
+/**
+ * Raw EC-Force search conditions, passed through as `q[...]` params
+ * (qs parses q[name_cont]=x into { q: { name_cont: "x" } })
+ * @param {Object} query - req.query
+ * @returns {Object}
+ */
+function parseSearchConditions(query) {
+  const conditions = {};
+
+  if (query.q && typeof query.q === 'object') {
+    for (const [key, value] of Object.entries(query.q)) {
+      if (typeof value === 'string') conditions[`q[${key}]`] = value;
+    }
+  }
+
+  return conditions;
+}
+
+/**
+ * Validate a lookup query and turn it into service filters
+ * @param {Object} query - req.query
+ * @param {Array<string>} stringFields - Allowed string filter names
+ * @returns {Object}
+ * @throws {CrawlerError} VALIDATION_ERROR listing every invalid parameter
+ */
+function parseLookupFilters(query = {}, stringFields) {
+  const errors = [];
+  const filters = {
+    ...parseStringFilters(query, stringFields, errors),
+    ...parsePagination(query, errors),
+    ...parseSearchConditions(query),
+  };
+
+  if (errors.length > 0) {
+    throw new CrawlerError(
+      'Invalid query parameters',
+      ErrorCodes.VALIDATION_ERROR,
+      400,
+      { errors }
+    );
+  }
+
+  return filters;
+}
+
+/**
+ * Validate an EC-Force id route parameter
+ * @param {string} value - req.params value
+ * @param {string} field - Parameter name, for the error
+ * @returns {string}
+ * @throws {CrawlerError} VALIDATION_ERROR unless the id is numeric
+ */
+function parseId(value, field) {
+  if (typeof value !== 'string' || !ID_PATTERN.test(value)) {
+    throw new CrawlerError(
+      `${field} must be a numeric EC-Force id`,
+      ErrorCodes.VALIDATION_ERROR,
+      400,
+      { errors: [{ field, message: `${field} must be numeric` }] }
+    );
+  }
+
+  return value;
+}
+
+module.exports = {
+  MAX_PER_PAGE,
+  parseInteger,
+  parseStringFilters,
+  parsePagination,
+  parseSearchConditions,
+  parseLookupFilters,
+  parseId,
+};
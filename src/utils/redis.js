@@ -0,0 +1,79 @@
+/**
+ * Shared Redis client
+ * Single ioredis connection reused by the circuit breaker, order job queue, etc.
+ * Returns null when Redis is not configured so callers can fall back to local state.
+ */
+
+const logger = require('./logger');
+const config = require('../config');
+
+// Redis client (initialized in getRedisClient)
+let redisClient = null;
+let warnedNotConfigured = false;
+
+/**
+ * Get or create Redis client
+ * @returns {Redis|null} ioredis client, or null if Redis is not configured
+ */
+function getRedisClient() {
+  if (redisClient && redisClient.status !== 'end') {
+    return redisClient;
+  }
+
+  if (!config.redis || !config.redis.url) {
+    if (!warnedNotConfigured) {
+      logger.warn('Redis not configured, running in standalone mode');
+      warnedNotConfigured = true;
+    }
+    return null;
+  }
+
+  try {
+    const Redis = require('ioredis');
+    redisClient = new Redis(config.redis.url, {
+      password: config.redis.password,
+      db: config.redis.db || 0,
+      retryStrategy: (times) => {
+        const delay = Math.min(times * 50, 2000);
+        return delay;
+      },
+      maxRetriesPerRequest: 3,
+      enableReadyCheck: true,
+      lazyConnect: false
+    });
+
+    redisClient.on('error', (err) => {
+      logger.error('Redis connection error', { error: err.message });
+    });
+
+    redisClient.on('connect', () => {
+      logger.info('Redis connected');
+    });
+
+    return redisClient;
+  } catch (error) {
+    logger.error('Failed to create Redis client', { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Graceful shutdown - close Redis connection
+ */
+async function closeRedisClient() {
+  if (redisClient) {
+    try {
+      await redisClient.quit();
+      logger.info('Redis connection closed');
+    } catch (error) {
+      logger.error('Error closing Redis connection', { error: error.message });
+    } finally {
+      redisClient = null;
+    }
+  }
+}
+
+module.exports = {
+  getRedisClient,
+  closeRedisClient
+};
@@ -3,6 +3,7 @@ const fs = require("fs");
 const config = require("../config");
 const logger = require("./logger");
 const { getCircuitBreaker } = require("./circuitBreaker");
+const { recordGcsUpload, recordScreenshot } = require("./metrics");
 
 // Google Cloud Storage client (lazy init)
 let storageClient = null;
@@ -43,10 +44,11 @@ async function uploadToGCS(localPath, filename) {
   if (!storage) return null;
 
   const circuitBreaker = getCircuitBreaker('gcs');
+  const start = Date.now();
 
   try {
     // Execute upload with circuit breaker protection
-    return await circuitBreaker.execute(async () => {
+    const signedUrl = await circuitBreaker.execute(async () => {
       const bucket = storage.bucket(config.gcs.bucketName);
       const blob = bucket.file(`${filename}`);
 
@@ -68,14 +70,19 @@ async function uploadToGCS(localPath, filename) {
 
       return signedUrl;
     });
+
+    recordGcsUpload("success", (Date.now() - start) / 1000);
+    return signedUrl;
   } catch (error) {
     // Handle circuit breaker errors
     if (error.code === 'CIRCUIT_OPEN') {
       logger.warn('GCS circuit breaker is OPEN, upload skipped');
+      recordGcsUpload("skipped");
       return null;
     }
     
     logger.error("Failed to upload to GCS:", error);
+    recordGcsUpload("failed", (Date.now() - start) / 1000);
     return null;
   }
 }
@@ -147,6 +154,7 @@ async function saveErrorScreenshot(page, error, context = "") {
 
     // Save locally
     const screenshotPath = await saveScreenshot(page, filename);
+    recordScreenshot("error");
 
     // Upload to GCS if configured
     const gcsUrl = await uploadToGCS(screenshotPath, filename);